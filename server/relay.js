@@ -0,0 +1,131 @@
+/**
+ * Sunflower relay — a tiny self-hostable stand-in for Supabase Realtime.
+ *
+ *   npm run relay              listens on :8787 (PORT to change)
+ *   VITE_TRANSPORT=relay npm run dev
+ *
+ * Clients connect to ws://host:port/?room=<channel name>&key=<presence key>;
+ * every text message is passed on to the other sockets in that room, and a
+ * socket that disconnects is announced as a 'leave'. The key is bound to
+ * the socket when it joins: frames claiming any other key are dropped, so
+ * one member can't track or leave on the other's behalf.
+ *
+ * A room holds one pair, so a third key is turned away until one of the two
+ * leaves. A key that joins again (a reconnect racing the old socket's close,
+ * a phone whose dead socket hasn't been pinged out yet) takes over its slot
+ * and the old socket is dropped quietly. Presence itself is kept by the
+ * clients (src/lib/presenceRoom.js). Locations arrive sealed end-to-end,
+ * so the relay only ever sees presence keys and public keys.
+ */
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+const DEFAULT_PORT = 8787;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+export const MAX_ROOM_MEMBERS = 2;
+// Drop sockets that stop answering pings (phones that lost signal)
+const PING_MS = 30 * 1000;
+
+/**
+ * Start a relay on `port` (0 picks a free one). Returns the WebSocketServer;
+ * close() it to stop.
+ */
+export function createRelay({ port = DEFAULT_PORT } = {}) {
+    // room name → Set of sockets
+    const rooms = new Map();
+
+    function sendToOthers(room, sender, data) {
+        for (const socket of rooms.get(room) ?? []) {
+            if (socket !== sender && socket.readyState === socket.OPEN) socket.send(data);
+        }
+    }
+
+    const server = new WebSocketServer({ port, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on('error', (err) => {
+        console.error('[Sunflower] Relay server error:', err);
+    });
+
+    server.on('connection', (socket, req) => {
+        const params = new URL(req.url, 'http://relay').searchParams;
+        const room = params.get('room');
+        const memberKey = params.get('key');
+        if (!room || !memberKey) {
+            socket.close(1008, 'room and key required');
+            return;
+        }
+
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        const members = rooms.get(room);
+
+        // The same key joining again replaces its old socket — no 'leave' for
+        // it, since the member never actually went away
+        for (const other of members) {
+            if (other.memberKey !== memberKey) continue;
+            members.delete(other);
+            other.replaced = true;
+            other.terminate();
+        }
+
+        if (members.size >= MAX_ROOM_MEMBERS) {
+            socket.close(1008, 'room full');
+            return;
+        }
+        socket.memberKey = memberKey;
+        members.add(socket);
+        socket.isAlive = true;
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        // Oversized or malformed frames: drop this client, not the relay
+        socket.on('error', (err) => {
+            console.warn(`[Sunflower] Dropping client in ${room}:`, err.code ?? err.message);
+            socket.terminate();
+        });
+
+        socket.on('message', (data, isBinary) => {
+            if (isBinary) return;
+            const text = data.toString();
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                return;
+            }
+            if (message?.key !== memberKey) return;
+            sendToOthers(room, socket, text);
+        });
+
+        socket.on('close', () => {
+            if (socket.replaced) return;
+            members.delete(socket);
+            if (members.size === 0 && rooms.get(room) === members) rooms.delete(room);
+            sendToOthers(room, socket, JSON.stringify({ type: 'leave', key: memberKey }));
+        });
+    });
+
+    const ping = setInterval(() => {
+        for (const socket of server.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, PING_MS);
+
+    server.on('close', () => clearInterval(ping));
+
+    return server;
+}
+
+// `npm run relay`
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+    const server = createRelay({ port: Number(process.env.PORT) || DEFAULT_PORT });
+    server.on('listening', () => {
+        console.log(`[Sunflower] Relay listening on ws://localhost:${server.address().port}`);
+    });
+}
@@ -0,0 +1,90 @@
+/**
+ * The relay's room rules: two keys per room, keys bound at join, and a
+ * rejoining key taking over its own slot. Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { WebSocket } from 'ws';
+import { createRelay, MAX_ROOM_MEMBERS } from './relay.js';
+
+async function startRelay(t) {
+    const server = createRelay({ port: 0 });
+    await once(server, 'listening');
+    const clients = [];
+    t.after(() => {
+        clients.forEach((client) => client.terminate());
+        server.close();
+    });
+
+    const connect = async (key, room = 'sunflower-pair-TEST') => {
+        const client = new WebSocket(`ws://localhost:${server.address().port}/?room=${room}&key=${key}`);
+        clients.push(client);
+        client.received = [];
+        client.on('message', (data) => client.received.push(JSON.parse(data.toString())));
+        await once(client, 'open');
+        return client;
+    };
+    return connect;
+}
+
+// Give the relay a moment to pass messages on
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+test(`a room holds ${MAX_ROOM_MEMBERS} keys and turns a third away`, async (t) => {
+    const connect = await startRelay(t);
+    await connect('a');
+    await connect('b');
+    const third = await connect('c');
+    const [code, reason] = await once(third, 'close');
+    assert.equal(code, 1008);
+    assert.equal(reason.toString(), 'room full');
+});
+
+test('rooms are separate', async (t) => {
+    const connect = await startRelay(t);
+    await connect('a', 'one');
+    await connect('b', 'one');
+    const other = await connect('c', 'two');
+    await settle();
+    assert.equal(other.readyState, WebSocket.OPEN);
+});
+
+test('frames claiming another key are dropped', async (t) => {
+    const connect = await startRelay(t);
+    const a = await connect('a');
+    const b = await connect('b');
+    a.send(JSON.stringify({ type: 'leave', key: 'b' }));
+    a.send(JSON.stringify({ type: 'track', key: 'a', meta: { pk: 1 } }));
+    await settle();
+    assert.deepEqual(b.received, [{ type: 'track', key: 'a', meta: { pk: 1 } }]);
+});
+
+test('a key that rejoins replaces its old socket instead of being refused', async (t) => {
+    const connect = await startRelay(t);
+    const stale = await connect('a');
+    const b = await connect('b');
+    const staleClosed = once(stale, 'close');
+
+    const fresh = await connect('a');
+    await staleClosed;
+    fresh.send(JSON.stringify({ type: 'track', key: 'a', meta: {} }));
+    await settle();
+
+    assert.equal(fresh.readyState, WebSocket.OPEN);
+    // The member never left, so the partner isn't told it did
+    assert.deepEqual(b.received, [{ type: 'track', key: 'a', meta: {} }]);
+});
+
+test('leaving frees the slot and is announced', async (t) => {
+    const connect = await startRelay(t);
+    const a = await connect('a');
+    const b = await connect('b');
+    a.close();
+    await settle();
+    assert.deepEqual(b.received, [{ type: 'leave', key: 'a' }]);
+
+    const c = await connect('c');
+    await settle();
+    assert.equal(c.readyState, WebSocket.OPEN);
+});
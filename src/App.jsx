@@ -1,15 +1,35 @@
 import React from 'react';
 import Scene from './components/Scene';
 import TypographyOverlay from './components/TypographyOverlay';
+import CalibrationPrompt from './components/CalibrationPrompt';
+import CompassHud from './components/CompassHud';
 import { usePartnerLocation } from './hooks/usePartnerLocation';
 
 export default function App() {
-  const { distance, isConnected, hasPartner } = usePartnerLocation();
+  const {
+    distance,
+    distanceAccuracy,
+    connection,
+    hasPartner,
+    isPaired,
+    partnerHidden,
+    partnerSeenAt,
+  } = usePartnerLocation();
 
   return (
     <>
       <Scene />
-      <TypographyOverlay distance={distance} isConnected={isConnected} hasPartner={hasPartner} />
+      <TypographyOverlay
+        distance={distance}
+        distanceAccuracy={distanceAccuracy}
+        connection={connection}
+        hasPartner={hasPartner}
+        isPaired={isPaired}
+        partnerHidden={partnerHidden}
+        partnerSeenAt={partnerSeenAt}
+      />
+      <CompassHud />
+      <CalibrationPrompt />
     </>
   );
 }
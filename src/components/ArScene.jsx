@@ -0,0 +1,209 @@
+import React, { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import Sunflower from './Sunflower';
+import { setArPlaced } from '../lib/ar';
+
+// The flower at tabletop size — scene units are metres in WebXR
+const XR_SCALE = 0.2;
+// Camera passthrough: a fixed virtual camera, the flower stood in front of it
+const PASSTHROUGH_CAMERA = [0, 1.2, 4];
+const PASSTHROUGH_TARGET = [0, 0.6, 0];
+
+const forward = new THREE.Vector3();
+
+/** Wrap an angle to (-π, π] */
+function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+/**
+ * The sunflower turned to face her for real: her bearing relative to where
+ * the camera looks (compass heading), laid onto the camera's own yaw in the
+ * scene. Without a fix on her (`hasFix`) it faces the viewer.
+ */
+function ArFlower({ bearing, hasFix, heading, heartbeatScale, genome, growth, interactive }) {
+    const plantRef = useRef();
+    const yawRef = useRef(null);
+
+    useFrame(({ camera }, delta) => {
+        if (!plantRef.current) return;
+
+        camera.getWorldDirection(forward);
+        const cameraYaw = Math.atan2(forward.x, forward.z);
+        // Clockwise on the compass is negative yaw in the scene
+        const targetYaw = !hasFix || bearing == null
+            ? cameraYaw + Math.PI
+            : cameraYaw - ((bearing - heading) * Math.PI) / 180;
+
+        if (yawRef.current === null) yawRef.current = targetYaw;
+        yawRef.current += wrapAngle(targetYaw - yawRef.current) * (1 - Math.pow(0.001, delta)) * 0.8;
+        plantRef.current.rotation.y = yawRef.current;
+    });
+
+    return (
+        <group ref={plantRef}>
+            <Sunflower
+                genome={genome}
+                growth={growth}
+                heartbeatScale={heartbeatScale}
+                interactive={interactive}
+            />
+        </group>
+    );
+}
+
+/**
+ * WebXR: hand the session to the renderer, hit-test from the middle of the
+ * view, show a reticle on the surface found and plant the flower there on
+ * tap — on an anchor when the browser offers them, so it stays put as
+ * tracking improves. Tapping again replants it.
+ */
+function XrPlacement({ session, children }) {
+    const gl = useThree((state) => state.gl);
+    const hitSourceRef = useRef(null);
+    const anchorRef = useRef(null);
+    const wantsPlacementRef = useRef(false);
+    const placedRef = useRef(false);
+    const reticleRef = useRef();
+    const flowerRef = useRef();
+
+    useEffect(() => {
+        let cancelled = false;
+
+        gl.xr.setReferenceSpaceType('local');
+        gl.xr.setSession(session).catch((e) => console.warn('[Sunflower] Could not start WebXR rendering:', e));
+
+        session.requestReferenceSpace('viewer')
+            .then((space) => session.requestHitTestSource({ space }))
+            .then((source) => {
+                if (cancelled) source.cancel();
+                else hitSourceRef.current = source;
+            })
+            .catch((e) => console.warn('[Sunflower] Hit testing unavailable:', e));
+
+        const handleSelect = () => {
+            wantsPlacementRef.current = true;
+        };
+        session.addEventListener('select', handleSelect);
+
+        return () => {
+            cancelled = true;
+            session.removeEventListener('select', handleSelect);
+            hitSourceRef.current?.cancel();
+            hitSourceRef.current = null;
+            anchorRef.current?.delete?.();
+            anchorRef.current = null;
+        };
+    }, [gl, session]);
+
+    useFrame((state, _, frame) => {
+        if (!frame || !reticleRef.current || !flowerRef.current) return;
+        const space = state.gl.xr.getReferenceSpace();
+
+        const hit = hitSourceRef.current ? frame.getHitTestResults(hitSourceRef.current)[0] : null;
+        const hitPose = hit?.getPose(space);
+        reticleRef.current.visible = !!hitPose;
+        if (hitPose) reticleRef.current.matrix.fromArray(hitPose.transform.matrix);
+
+        // Hit results only live for their frame, so taps are acted on here
+        if (wantsPlacementRef.current && hitPose) {
+            wantsPlacementRef.current = false;
+            const { x, y, z } = hitPose.transform.position;
+            flowerRef.current.position.set(x, y, z);
+            placedRef.current = true;
+            setArPlaced(true);
+
+            anchorRef.current?.delete?.();
+            anchorRef.current = null;
+            hit.createAnchor?.()
+                .then((anchor) => {
+                    anchorRef.current = anchor;
+                })
+                .catch((e) => console.warn('[Sunflower] Could not anchor the flower:', e));
+        }
+
+        const anchor = anchorRef.current;
+        if (anchor && frame.trackedAnchors?.has(anchor)) {
+            const anchorPose = frame.getPose(anchor.anchorSpace, space);
+            if (anchorPose) {
+                const { x, y, z } = anchorPose.transform.position;
+                flowerRef.current.position.set(x, y, z);
+            }
+        }
+        flowerRef.current.visible = placedRef.current;
+    });
+
+    return (
+        <>
+            <group ref={reticleRef} matrixAutoUpdate={false} visible={false}>
+                <mesh rotation={[-Math.PI / 2, 0, 0]}>
+                    <ringGeometry args={[0.06, 0.08, 32]} />
+                    <meshBasicMaterial color="#FFD54F" transparent opacity={0.8} />
+                </mesh>
+            </group>
+            <group ref={flowerRef} scale={XR_SCALE} visible={false}>
+                {children}
+            </group>
+        </>
+    );
+}
+
+/** Camera passthrough: no tracking, so a fixed view with the flower in front */
+function PassthroughPlacement({ children }) {
+    useFrame(({ camera }) => {
+        camera.position.set(...PASSTHROUGH_CAMERA);
+        camera.lookAt(...PASSTHROUGH_TARGET);
+    });
+
+    return children;
+}
+
+/**
+ * The scene while in AR (see lib/ar.js) — no sky, fog or postprocessing,
+ * just light and the flower over the real world. Puts the camera back as
+ * it found it on the way out.
+ */
+export default function ArScene({ mode, session, bearing, distance, heading, heartbeatScale, genome, growth }) {
+    const get = useThree((state) => state.get);
+
+    useEffect(() => {
+        const { camera } = get();
+        const saved = {
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            fov: camera.fov,
+        };
+        return () => {
+            const { camera: restored } = get();
+            restored.position.copy(saved.position);
+            restored.quaternion.copy(saved.quaternion);
+            restored.fov = saved.fov;
+            restored.updateProjectionMatrix();
+        };
+    }, [get]);
+
+    const flower = (
+        <ArFlower
+            bearing={bearing}
+            hasFix={distance != null}
+            heading={heading}
+            heartbeatScale={heartbeatScale}
+            genome={genome}
+            growth={growth}
+            interactive={mode === 'camera'}
+        />
+    );
+
+    return (
+        <>
+            <ambientLight intensity={0.8} />
+            <directionalLight position={[2, 4, 3]} intensity={1.6} />
+            {mode === 'webxr' ? (
+                <XrPlacement session={session}>{flower}</XrPlacement>
+            ) : (
+                <PassthroughPlacement>{flower}</PassthroughPlacement>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { useDeviceOrientation } from '../hooks/useDeviceOrientation';
+import { buttonStyle, labelStyle, cardStyle } from './panelStyles';
+
+// A figure-eight on its side, traced by the phone icon
+const FIGURE_EIGHT = 'M 60 30 C 80 0, 110 0, 110 30 C 110 60, 80 60, 60 30 C 40 0, 10 0, 10 30 C 10 60, 40 60, 60 30 Z';
+
+/**
+ * Asks for a figure-eight wave when the compass reports poor accuracy.
+ * Dismissing it holds until the compass recovers and then slips again.
+ */
+export default function CalibrationPrompt() {
+    const { needsCalibration, accuracy } = useDeviceOrientation();
+    const [dismissed, setDismissed] = useState(false);
+    const [wasNeeded, setWasNeeded] = useState(needsCalibration);
+
+    if (needsCalibration !== wasNeeded) {
+        setWasNeeded(needsCalibration);
+        if (!needsCalibration) setDismissed(false);
+    }
+
+    if (!needsCalibration || dismissed) return null;
+
+    return (
+        <div
+            style={{
+                position: 'fixed',
+                top: 'max(24px, env(safe-area-inset-top))',
+                left: '50%',
+                transform: 'translateX(-50%)',
+                zIndex: 20,
+                fontFamily: "'Playfair Display', Georgia, serif",
+            }}
+        >
+            <div style={cardStyle} role="alertdialog" aria-label="Calibrate compass">
+                <svg width={120} height={60} viewBox="0 0 120 60" aria-hidden="true">
+                    <path d={FIGURE_EIGHT} fill="none" stroke="rgba(255, 220, 130, 0.35)" strokeWidth={1.5} />
+                    <rect x={-5} y={-8} width={10} height={16} rx={2} fill="rgba(255, 220, 130, 0.9)">
+                        <animateMotion dur="2.4s" repeatCount="indefinite" path={FIGURE_EIGHT} rotate="auto" />
+                    </rect>
+                </svg>
+                <div style={{ ...labelStyle, textTransform: 'none', letterSpacing: '0.05em', textAlign: 'center' }}>
+                    The compass is unsure of north
+                    {accuracy > 0 ? ` (±${Math.round(accuracy)}°)` : ''}.
+                    <br />
+                    Wave your phone in a figure eight.
+                </div>
+                <button type="button" style={buttonStyle} onClick={() => setDismissed(true)}>
+                    Not now
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import React, { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import * as THREE from 'three';
+
+const TARGET = new THREE.Vector3(0, 0.3, 0);
+// Where the compass view stands: straight out in front, as the Canvas starts
+const COMPASS_VIEW = new THREE.Spherical().setFromVector3(new THREE.Vector3(0, 1.2, 5));
+// Cinematic: a slow circle that drifts in and out and up and down
+const CINEMATIC_SPIN = 0.035; // rad/s
+const CINEMATIC_RADIUS = 5.2;
+const CINEMATIC_RADIUS_SWAY = 1.2;
+const CINEMATIC_POLAR_SWAY = 0.15;
+// How quickly the camera eases into a mode's view
+const TRANSITION_RATE = 1.5;
+
+const current = new THREE.Spherical();
+const offset = new THREE.Vector3();
+
+/** Wrap an angle to (-π, π] */
+function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+/**
+ * Camera rig — how we look at the flower.
+ *
+ *   compass    first person: looking where the phone looks. The scene is
+ *              already drawn relative to the device heading (see
+ *              useFlowerRotation), so the camera holds still in front and
+ *              the flower turns as you do.
+ *   orbit      OrbitControls — drag to look around, pinch to zoom.
+ *   cinematic  a slow, drifting circle around the flower.
+ *
+ * Changing mode eases the camera from wherever it is into the new view;
+ * orbit simply takes over from the current pose.
+ */
+export default function CameraRig({ mode }) {
+    const cinematicRef = useRef(null);
+
+    useFrame(({ camera, clock }, delta) => {
+        if (mode === 'orbit') {
+            cinematicRef.current = null;
+            return;
+        }
+
+        offset.copy(camera.position).sub(TARGET);
+        current.setFromVector3(offset);
+
+        let goal = COMPASS_VIEW;
+        if (mode === 'cinematic') {
+            // Carry on round from wherever the camera was when we switched
+            cinematicRef.current ??= current.theta;
+            cinematicRef.current += CINEMATIC_SPIN * delta;
+            const t = clock.elapsedTime;
+            goal = {
+                radius: CINEMATIC_RADIUS + Math.sin(t * 0.11) * CINEMATIC_RADIUS_SWAY,
+                phi: COMPASS_VIEW.phi + Math.sin(t * 0.07) * CINEMATIC_POLAR_SWAY,
+                theta: cinematicRef.current,
+            };
+        } else {
+            cinematicRef.current = null;
+        }
+
+        const k = 1 - Math.exp(-delta * TRANSITION_RATE);
+        current.radius += (goal.radius - current.radius) * k;
+        current.phi += (goal.phi - current.phi) * k;
+        current.theta += wrapAngle(goal.theta - current.theta) * k;
+        current.makeSafe();
+
+        camera.position.setFromSpherical(current).add(TARGET);
+        camera.lookAt(TARGET);
+    });
+
+    return (
+        <OrbitControls
+            makeDefault
+            enabled={mode === 'orbit'}
+            enablePan={false}
+            enableZoom={true}
+            minDistance={2}
+            maxDistance={12}
+            minPolarAngle={Math.PI / 6}
+            maxPolarAngle={Math.PI / 2.2}
+            enableDamping
+            dampingFactor={0.05}
+            target={TARGET.toArray()}
+        />
+    );
+}
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import { usePartnerLocation } from '../hooks/usePartnerLocation';
+import { useDeviceOrientation } from '../hooks/useDeviceOrientation';
+import { useSetting } from '../hooks/useSetting';
+import { BEARING_OCTANT_DEG } from '../lib/privacy';
+
+const SIZE = 104;
+const RADIUS = 40;
+// Within this of her bearing counts as facing her; a little more to let go
+const FACING_DEG = 5;
+const FACING_EXIT_DEG = 8;
+// A distance-only partner's bearing is just an octant — anywhere in it counts
+const APPROX_FACING_DEG = BEARING_OCTANT_DEG / 2;
+const APPROX_FACING_EXIT_DEG = APPROX_FACING_DEG + (FACING_EXIT_DEG - FACING_DEG);
+const FACING_VIBRATION = [20, 40, 20];
+
+const WINDS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const CARDINALS = [
+    { angle: 0, label: 'N' },
+    { angle: 90, label: 'E' },
+    { angle: 180, label: 'S' },
+    { angle: 270, label: 'W' },
+];
+
+/** Point on the rose at `angle` degrees clockwise from its top */
+function polar(angle, r) {
+    const rad = (angle * Math.PI) / 180;
+    return [SIZE / 2 + Math.sin(rad) * r, SIZE / 2 - Math.cos(rad) * r];
+}
+
+function describeOffset(offset, approximate) {
+    const degrees = Math.round(Math.abs(offset));
+    if (degrees > 150) return 'she is behind you';
+    const side = offset < 0 ? 'left' : 'right';
+    return approximate ? `she is roughly to your ${side}` : `she is ${degrees}° to your ${side}`;
+}
+
+/** Wedge covering `width` degrees centred on `angle`, from the rose's centre */
+function sectorPath(angle, width, r) {
+    const [x1, y1] = polar(angle - width / 2, r);
+    const [x2, y2] = polar(angle + width / 2, r);
+    return `M ${SIZE / 2} ${SIZE / 2} L ${x1} ${y1} A ${r} ${r} 0 0 1 ${x2} ${y2} Z`;
+}
+
+/**
+ * Compass HUD — her exact bearing against where the phone points, unlike
+ * the flower, which settles slowly and is seen from an orbiting camera.
+ * The rose turns with the heading so the top is always straight ahead;
+ * facing her lights the marker and taps the vibration motor once.
+ * Without an absolute compass it stays north-up and just gives the bearing.
+ * A distance-only partner shares no more than an octant: then the HUD shows
+ * that sector and its wind name, marked as approximate, and anywhere in it
+ * counts as facing her. Sits top-left, clear of her sky in the top-right.
+ * Can be turned off in settings.
+ */
+export default function CompassHud() {
+    const [enabled] = useSetting('compassHud');
+    const { bearing: partnerBearing, distance: partnerDistance, partnerMode } = usePartnerLocation();
+    // No fix on her means no bearing, whatever the store defaults it to
+    const bearing = partnerDistance != null ? partnerBearing : null;
+    const approximate = partnerMode === 'distance';
+    const facingDeg = approximate ? APPROX_FACING_DEG : FACING_DEG;
+    const facingExitDeg = approximate ? APPROX_FACING_EXIT_DEG : FACING_EXIT_DEG;
+    const { heading, isAbsolute } = useDeviceOrientation();
+    const [facing, setFacing] = useState(false);
+
+    const offset = !enabled || bearing == null || !isAbsolute ? null : ((bearing - heading + 540) % 360) - 180;
+    const distance = offset == null ? Infinity : Math.abs(offset);
+    if (!facing && distance <= facingDeg) setFacing(true);
+    else if (facing && distance > facingExitDeg) setFacing(false);
+
+    useEffect(() => {
+        if (facing) navigator.vibrate?.(FACING_VIBRATION);
+    }, [facing]);
+
+    if (!enabled || bearing == null) return null;
+
+    const roseRotation = isAbsolute ? -heading : 0;
+    const [markerX, markerY] = polar(bearing, RADIUS - 8);
+    const markerColor = facing ? 'rgba(255, 150, 130, 1)' : 'rgba(255, 220, 130, 0.9)';
+
+    return (
+        <div
+            style={{
+                position: 'fixed',
+                top: 'max(16px, env(safe-area-inset-top))',
+                left: 'max(16px, env(safe-area-inset-left))',
+                zIndex: 11,
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                gap: '4px',
+                pointerEvents: 'none',
+                fontFamily: "'Playfair Display', Georgia, serif",
+            }}
+        >
+            <svg width={SIZE} height={SIZE} viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label="Compass towards her">
+                <circle
+                    cx={SIZE / 2}
+                    cy={SIZE / 2}
+                    r={RADIUS}
+                    fill="rgba(13, 8, 0, 0.45)"
+                    stroke={facing ? 'rgba(255, 150, 130, 0.7)' : 'rgba(255, 220, 130, 0.3)'}
+                />
+                {/* Straight ahead */}
+                <path
+                    d={`M ${SIZE / 2 - 5} 4 L ${SIZE / 2 + 5} 4 L ${SIZE / 2} 11 Z`}
+                    fill="rgba(255, 248, 225, 0.8)"
+                />
+
+                <g transform={`rotate(${roseRotation} ${SIZE / 2} ${SIZE / 2})`}>
+                    {Array.from({ length: 24 }, (_, i) => {
+                        const [x1, y1] = polar(i * 15, RADIUS);
+                        const [x2, y2] = polar(i * 15, RADIUS - (i % 6 === 0 ? 6 : 3));
+                        return (
+                            <line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke="rgba(255, 220, 130, 0.35)" />
+                        );
+                    })}
+                    {CARDINALS.map(({ angle, label }) => {
+                        const [x, y] = polar(angle, RADIUS - 14);
+                        return (
+                            <text
+                                key={label}
+                                x={x}
+                                y={y}
+                                textAnchor="middle"
+                                dominantBaseline="central"
+                                fontSize={10}
+                                fill={label === 'N' ? 'rgba(255, 170, 120, 0.95)' : 'rgba(255, 248, 225, 0.6)'}
+                                transform={`rotate(${-roseRotation} ${x} ${y})`}
+                            >
+                                {label}
+                            </text>
+                        );
+                    })}
+
+                    {/* Her — the whole octant when that's all we know */}
+                    {approximate && (
+                        <path
+                            d={sectorPath(bearing, BEARING_OCTANT_DEG, RADIUS - 4)}
+                            fill={facing ? 'rgba(255, 150, 130, 0.25)' : 'rgba(255, 220, 130, 0.15)'}
+                        />
+                    )}
+                    <line
+                        x1={SIZE / 2}
+                        y1={SIZE / 2}
+                        x2={markerX}
+                        y2={markerY}
+                        stroke={markerColor}
+                        strokeWidth={facing ? 2 : 1}
+                        strokeLinecap="round"
+                    />
+                    <circle cx={markerX} cy={markerY} r={facing ? 6 : 4} fill={markerColor} />
+                </g>
+            </svg>
+
+            <div
+                style={{
+                    fontSize: 'clamp(9px, 1.8vw, 11px)',
+                    letterSpacing: '0.15em',
+                    textTransform: 'uppercase',
+                    color: 'rgba(255, 248, 225, 0.7)',
+                    textShadow: '0 0 12px rgba(0, 0, 0, 0.6)',
+                }}
+            >
+                {approximate
+                    ? `≈ ${WINDS[Math.round(bearing / 45) % 8]}`
+                    : `${WINDS[Math.round(bearing / 45) % 8]} ${Math.round(bearing)}°`}
+            </div>
+            <div
+                style={{
+                    fontSize: 'clamp(10px, 2vw, 12px)',
+                    fontStyle: 'italic',
+                    color: facing ? 'rgba(255, 170, 150, 0.95)' : 'rgba(255, 220, 130, 0.8)',
+                    textShadow: '0 0 12px rgba(0, 0, 0, 0.6)',
+                }}
+            >
+                {offset == null
+                    ? 'no compass'
+                    : facing ? "you're facing her ♥" : describeOffset(offset, approximate)}
+            </div>
+        </div>
+    );
+}
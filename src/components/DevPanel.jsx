@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import {
+    setSelfSimulation,
+    setPartnerSimulation,
+    setReplaySpeed,
+    restartReplay,
+    setSimulatedHeading,
+} from '../lib/simulation';
+import { parseTrack } from '../lib/gpsTrack';
+import { useSimulation } from '../hooks/useSimulation';
+import { buttonStyle, activeButtonStyle, labelStyle, cardStyle } from './panelStyles';
+
+// Her pace when placed, in m/s
+const PACES = [
+    { speed: 0, label: 'Still' },
+    { speed: 1.4, label: 'Walking' },
+    { speed: 3, label: 'Running' },
+    { speed: 14, label: 'Driving' },
+];
+
+const REPLAY_SPEEDS = [1, 5, 20, 60];
+
+const rowStyle = { display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' };
+
+const inputStyle = {
+    ...buttonStyle,
+    width: '7em',
+    textAlign: 'center',
+    cursor: 'text',
+    userSelect: 'text',
+    WebkitUserSelect: 'text',
+};
+
+/** Number input that only reports values that parse */
+function NumberField({ label, value, onChange }) {
+    return (
+        <input
+            type="number"
+            aria-label={label}
+            title={label}
+            defaultValue={value}
+            onChange={(e) => {
+                const n = parseFloat(e.target.value);
+                if (Number.isFinite(n)) onChange(n);
+            }}
+            style={inputStyle}
+        />
+    );
+}
+
+function Choice({ options, value, onChange }) {
+    return options.map((option) => (
+        <button
+            key={option.value}
+            type="button"
+            disabled={option.disabled}
+            style={{
+                ...(option.value === value ? activeButtonStyle : buttonStyle),
+                opacity: option.disabled ? 0.4 : 1,
+            }}
+            onClick={() => onChange(option.value)}
+        >
+            {option.label}
+        </button>
+    ));
+}
+
+/**
+ * Dev simulation — fake positions, replay recorded tracks, pin the compass.
+ * Only reachable with `?dev` in the URL. See lib/simulation.js.
+ */
+export default function DevPanel() {
+    const { self, partner, replay, heading } = useSimulation();
+    const [trackTarget, setTrackTarget] = useState('partner');
+    const [error, setError] = useState(null);
+
+    const loadTrack = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const track = parseTrack(await file.text(), file.name);
+            setError(null);
+            if (trackTarget === 'self') setSelfSimulation({ mode: 'replay', track });
+            else setPartnerSimulation({ mode: 'replay', track });
+            restartReplay();
+        } catch (err) {
+            setError(`Could not read ${file.name}: ${err.message}`);
+        }
+    };
+
+    return (
+        <div style={{ ...cardStyle, maxHeight: '60vh', overflowY: 'auto' }}>
+            <div style={labelStyle}>Me</div>
+            <div style={rowStyle}>
+                <Choice
+                    value={self.mode}
+                    onChange={(mode) => setSelfSimulation({ mode })}
+                    options={[
+                        { value: 'gps', label: 'GPS' },
+                        { value: 'fixed', label: 'Fixed' },
+                        { value: 'replay', label: 'Track', disabled: !self.track },
+                    ]}
+                />
+            </div>
+            {self.mode === 'fixed' && (
+                <div style={rowStyle}>
+                    <NumberField label="Latitude" value={self.lat} onChange={(lat) => setSelfSimulation({ lat })} />
+                    <NumberField label="Longitude" value={self.lon} onChange={(lon) => setSelfSimulation({ lon })} />
+                </div>
+            )}
+
+            <div style={labelStyle}>Her</div>
+            <div style={rowStyle}>
+                <Choice
+                    value={partner.mode}
+                    onChange={(mode) => setPartnerSimulation({ mode })}
+                    options={[
+                        { value: 'off', label: 'Real' },
+                        { value: 'placed', label: 'Placed' },
+                        { value: 'replay', label: 'Track', disabled: !partner.track },
+                    ]}
+                />
+            </div>
+            {partner.mode === 'placed' && (
+                <>
+                    <div style={rowStyle}>
+                        <NumberField
+                            label="Distance (m)"
+                            value={partner.distance}
+                            onChange={(distance) => setPartnerSimulation({ distance })}
+                        />
+                        <NumberField
+                            label="Bearing (°)"
+                            value={partner.bearing}
+                            onChange={(bearing) => setPartnerSimulation({ bearing })}
+                        />
+                    </div>
+                    <div style={rowStyle}>
+                        <Choice
+                            value={partner.speed}
+                            onChange={(speed) => setPartnerSimulation({ speed })}
+                            options={PACES.map((p) => ({ value: p.speed, label: p.label }))}
+                        />
+                    </div>
+                </>
+            )}
+
+            <div style={labelStyle}>Replay a track (.gpx, .json)</div>
+            <div style={rowStyle}>
+                <Choice
+                    value={trackTarget}
+                    onChange={setTrackTarget}
+                    options={[
+                        { value: 'self', label: 'As me' },
+                        { value: 'partner', label: 'As her' },
+                    ]}
+                />
+                <label style={buttonStyle}>
+                    Load…
+                    <input type="file" accept=".gpx,.json" onChange={loadTrack} style={{ display: 'none' }} />
+                </label>
+            </div>
+            {(self.track || partner.track) && (
+                <div style={rowStyle}>
+                    <Choice
+                        value={replay.speed}
+                        onChange={setReplaySpeed}
+                        options={REPLAY_SPEEDS.map((speed) => ({ value: speed, label: `${speed}×` }))}
+                    />
+                    <button type="button" style={buttonStyle} onClick={restartReplay}>
+                        Restart
+                    </button>
+                </div>
+            )}
+            {error && (
+                <div style={{ ...labelStyle, color: 'rgba(255, 160, 130, 0.8)' }}>
+                    {error}
+                </div>
+            )}
+
+            <div style={labelStyle}>Heading</div>
+            <div style={rowStyle}>
+                <Choice
+                    value={heading == null ? 'sensor' : 'fixed'}
+                    onChange={(mode) => setSimulatedHeading(mode === 'sensor' ? null : heading ?? 0)}
+                    options={[
+                        { value: 'sensor', label: 'Sensor' },
+                        { value: 'fixed', label: heading == null ? 'Override' : `${Math.round(heading)}°` },
+                    ]}
+                />
+            </div>
+            {heading != null && (
+                <input
+                    type="range"
+                    min={0}
+                    max={359}
+                    value={heading}
+                    aria-label="Heading"
+                    onChange={(e) => setSimulatedHeading(Number(e.target.value))}
+                    style={{ width: '100%', accentColor: 'rgba(255, 220, 130, 0.9)' }}
+                />
+            )}
+        </div>
+    );
+}
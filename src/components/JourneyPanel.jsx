@@ -0,0 +1,118 @@
+import React from 'react';
+import { NEAR_METERS, MAX_GAP_MS, TIMELINE_MS, RETENTION_MS } from '../lib/journey';
+import { formatTimeAgo, formatDuration } from '../lib/timeAgo';
+import { useNow } from '../hooks/useNow';
+import { labelStyle, cardStyle } from './panelStyles';
+
+const SPARK_WIDTH = 240;
+const SPARK_HEIGHT = 56;
+const RETENTION_DAYS = Math.round(RETENTION_MS / 86400000);
+
+function formatMeters(m) {
+    return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+/**
+ * The last day's distance as SVG polylines — log scale, so a walk across
+ * town and a hug both show; broken wherever she wasn't around.
+ */
+function Sparkline({ samples, now }) {
+    const maxLog = Math.max(Math.log10(Math.max(...samples.map((s) => s.distance), NEAR_METERS * 10)), 1);
+    const x = (t) => ((t - (now - TIMELINE_MS)) / TIMELINE_MS) * SPARK_WIDTH;
+    const y = (d) => SPARK_HEIGHT - (Math.log10(Math.max(d, 1)) / maxLog) * SPARK_HEIGHT;
+
+    const segments = [];
+    samples.forEach((s, i) => {
+        if (i === 0 || s.t - samples[i - 1].t > MAX_GAP_MS) segments.push([]);
+        segments[segments.length - 1].push([x(s.t), y(s.distance)]);
+    });
+
+    return (
+        <svg
+            width={SPARK_WIDTH}
+            height={SPARK_HEIGHT}
+            viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`}
+            style={{ overflow: 'visible' }}
+            role="img"
+            aria-label="Distance between you over the last day"
+        >
+            {/* Close enough to count as together */}
+            <line
+                x1={0}
+                x2={SPARK_WIDTH}
+                y1={y(NEAR_METERS)}
+                y2={y(NEAR_METERS)}
+                stroke="rgba(180, 255, 180, 0.35)"
+                strokeDasharray="3 4"
+            />
+            {segments.map((points, i) => (
+                points.length === 1 ? (
+                    <circle key={i} cx={points[0][0]} cy={points[0][1]} r={1.5} fill="rgba(255, 220, 130, 0.9)" />
+                ) : (
+                    <polyline
+                        key={i}
+                        points={points.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ')}
+                        fill="none"
+                        stroke="rgba(255, 220, 130, 0.9)"
+                        strokeWidth={1.5}
+                        strokeLinejoin="round"
+                    />
+                )
+            ))}
+        </svg>
+    );
+}
+
+function Stat({ label, value }) {
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2px', minWidth: '6.5em' }}>
+            <div
+                style={{
+                    fontSize: 'clamp(14px, 3vw, 18px)',
+                    fontStyle: 'italic',
+                    color: 'rgba(255, 220, 130, 0.9)',
+                }}
+            >
+                {value}
+            </div>
+            <div style={{ ...labelStyle, fontSize: 'clamp(8px, 1.6vw, 10px)' }}>{label}</div>
+        </div>
+    );
+}
+
+/**
+ * The journey log — how near you've been, today and over the last weeks.
+ * Mounted above the overlay's pill row while open.
+ */
+export default function JourneyPanel({ journey }) {
+    const now = useNow();
+    const { ready, timeline, stats } = journey;
+    const { closestToday, nearTodayMs, nearTotalMs, longestApartMs } = stats;
+
+    return (
+        <div style={cardStyle}>
+            <div style={labelStyle}>Our journey</div>
+
+            {timeline.length > 0 ? (
+                <Sparkline samples={timeline} now={now} />
+            ) : (
+                <div style={{ ...labelStyle, fontStyle: 'italic', textTransform: 'none' }}>
+                    {ready ? 'Nothing recorded today yet' : 'Reading the log…'}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <Stat
+                    label={closestToday ? `closest today · ${formatTimeAgo(closestToday.t, now)}` : 'closest today'}
+                    value={closestToday ? formatMeters(closestToday.distance) : '—'}
+                />
+                <Stat label={`within ${NEAR_METERS} m today`} value={formatDuration(nearTodayMs)} />
+                <Stat label={`within ${NEAR_METERS} m · ${RETENTION_DAYS} days`} value={formatDuration(nearTotalMs)} />
+                <Stat
+                    label="longest apart"
+                    value={longestApartMs != null ? formatDuration(longestApartMs) : '—'}
+                />
+            </div>
+        </div>
+    );
+}
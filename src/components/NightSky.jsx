@@ -0,0 +1,133 @@
+import React, { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { isMobile, isLowEnd } from '../lib/deviceDetect';
+
+const STAR_RADIUS = 40;
+const STAR_COUNT = isLowEnd ? 400 : isMobile ? 900 : 2500;
+
+/** Random points on the upper hemisphere — generated once, outside render */
+function createStarPositions(count) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const azimuth = Math.random() * Math.PI * 2;
+        // Uniform over the dome, slightly above the horizon
+        const elevation = Math.asin(0.05 + Math.random() * 0.95);
+        positions[i * 3] = STAR_RADIUS * Math.cos(elevation) * Math.sin(azimuth);
+        positions[i * 3 + 1] = STAR_RADIUS * Math.sin(elevation);
+        positions[i * 3 + 2] = STAR_RADIUS * Math.cos(elevation) * Math.cos(azimuth);
+    }
+    return positions;
+}
+
+const STAR_POSITIONS = createStarPositions(STAR_COUNT);
+
+/* ================================================================
+   Moon — lit by the real sun direction, so its phase is correct
+   ================================================================ */
+const moonVertexShader = /* glsl */ `
+    varying vec3 vWorldNormal;
+    void main() {
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const moonFragmentShader = /* glsl */ `
+    uniform vec3 sunDirection;
+    uniform float opacity;
+    varying vec3 vWorldNormal;
+    void main() {
+        float lit = smoothstep(-0.04, 0.08, dot(normalize(vWorldNormal), sunDirection));
+        // Faint earthshine on the dark limb
+        vec3 color = mix(vec3(0.07, 0.08, 0.11), vec3(0.96, 0.93, 0.86), lit);
+        gl_FragColor = vec4(color, opacity);
+    }
+`;
+
+function Moon({ position, sunPosition, nightFactor }) {
+    const materialRef = useRef();
+    const uniforms = useMemo(() => ({
+        sunDirection: { value: new THREE.Vector3() },
+        opacity: { value: 0 },
+    }), []);
+
+    useFrame(() => {
+        const material = materialRef.current;
+        if (!material) return;
+        const { sunDirection, opacity } = material.uniforms;
+        sunDirection.value.set(...sunPosition).normalize();
+        opacity.value += (nightFactor - opacity.value) * 0.05;
+    });
+
+    return (
+        <mesh position={position}>
+            <sphereGeometry args={[0.6, isMobile ? 16 : 32, isMobile ? 12 : 24]} />
+            <shaderMaterial
+                ref={materialRef}
+                vertexShader={moonVertexShader}
+                fragmentShader={moonFragmentShader}
+                uniforms={uniforms}
+                transparent
+                depthWrite={false}
+                toneMapped={false}
+            />
+        </mesh>
+    );
+}
+
+/* ================================================================
+   Star field — fades in with the night
+   ================================================================ */
+function StarField({ nightFactor }) {
+    const materialRef = useRef();
+
+    useFrame(() => {
+        const material = materialRef.current;
+        if (!material) return;
+        material.opacity += (nightFactor * 0.9 - material.opacity) * 0.05;
+    });
+
+    return (
+        <points>
+            <bufferGeometry>
+                <bufferAttribute attach="attributes-position" args={[STAR_POSITIONS, 3]} />
+            </bufferGeometry>
+            <pointsMaterial
+                ref={materialRef}
+                color="#FFF8E1"
+                size={isMobile ? 1.5 : 1.2}
+                sizeAttenuation={false}
+                transparent
+                opacity={0}
+                depthWrite={false}
+                fog={false}
+            />
+        </points>
+    );
+}
+
+/**
+ * Night sky — stars, the moon at its real position and phase, and the
+ * moonlight it casts. Everything scales with `nightFactor` (0 day → 1 night).
+ */
+export default function NightSky({ nightFactor, moon, sunPosition }) {
+    const moonUp = moon.elevation > -1;
+
+    return (
+        <>
+            <StarField nightFactor={nightFactor} />
+
+            {moonUp && (
+                <>
+                    <Moon position={moon.position} sunPosition={sunPosition} nightFactor={nightFactor} />
+                    <directionalLight
+                        position={moon.position}
+                        intensity={0.6 * moon.fraction * nightFactor}
+                        color="#AFC3FF"
+                    />
+                </>
+            )}
+        </>
+    );
+}
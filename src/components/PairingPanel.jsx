@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { usePairing } from '../hooks/usePairing';
+import { useGenome } from '../hooks/useGenome';
+import {
+    createPair,
+    redeemInvite,
+    unpair,
+    getInviteLink,
+    getInviteCode,
+    formatInviteCode,
+} from '../lib/pairing';
+import { getDeviceKeys, getKeyFingerprint } from '../lib/locationCrypto';
+import { getGenomeLink } from '../lib/genome';
+import { buttonStyle, labelStyle, cardStyle } from './panelStyles';
+
+/**
+ * Pairing controls — create an invite, redeem a partner's code, or unpair.
+ * Mounted above the overlay's pill row while open.
+ */
+export default function PairingPanel() {
+    const pairing = usePairing();
+    const genome = useGenome();
+    const [codeInput, setCodeInput] = useState('');
+    const [error, setError] = useState(null);
+    const [qrUrl, setQrUrl] = useState(null);
+    const [confirmUnpair, setConfirmUnpair] = useState(false);
+    // Which link was just copied: 'invite' | 'flower' | null
+    const [copied, setCopied] = useState(null);
+    // This device's key fingerprint, carried by the invite link
+    const [fingerprint, setFingerprint] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getDeviceKeys()
+            .then(({ publicJwk }) => getKeyFingerprint(publicJwk))
+            .then((fp) => { if (!cancelled) setFingerprint(fp); })
+            .catch((e) => console.warn('[Sunflower] Could not fingerprint device key:', e));
+        return () => { cancelled = true; };
+    }, []);
+
+    const inviteLink = pairing && fingerprint ? getInviteLink(pairing, fingerprint) : null;
+
+    // Render the invite link as a QR code so it can be scanned off-screen
+    useEffect(() => {
+        if (!inviteLink) return;
+        let cancelled = false;
+        QRCode.toDataURL(inviteLink, {
+            margin: 1,
+            width: 160,
+            color: { dark: '#1a0f00', light: '#FFF8E1' },
+        })
+            .then((url) => { if (!cancelled) setQrUrl(url); })
+            .catch((e) => console.warn('[Sunflower] QR generation failed:', e));
+        return () => { cancelled = true; };
+    }, [inviteLink]);
+
+    const handleRedeem = (e) => {
+        e.preventDefault();
+        try {
+            redeemInvite(codeInput);
+            setCodeInput('');
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Share sheet where available, clipboard otherwise
+    const shareLink = async (kind, url) => {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: 'Eternal Golden Hour', url });
+            } catch {
+                // Share sheet dismissed
+            }
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(kind);
+            setTimeout(() => setCopied(null), 2000);
+        } catch (err) {
+            console.warn(`[Sunflower] Could not copy ${kind} link:`, err);
+        }
+    };
+
+    const handleUnpair = () => {
+        if (!confirmUnpair) {
+            setConfirmUnpair(true);
+            return;
+        }
+        unpair();
+        setConfirmUnpair(false);
+        setQrUrl(null);
+    };
+
+    return (
+        <div style={cardStyle}>
+            {pairing ? (
+                <>
+                    <div style={labelStyle}>Your invite code</div>
+                    <div
+                        style={{
+                            maxWidth: '15em',
+                            textAlign: 'center',
+                            fontSize: 'clamp(16px, 4vw, 22px)',
+                            letterSpacing: '0.15em',
+                            color: 'rgba(255, 220, 130, 0.95)',
+                            userSelect: 'text',
+                            WebkitUserSelect: 'text',
+                        }}
+                    >
+                        {formatInviteCode(getInviteCode(pairing))}
+                    </div>
+                    {qrUrl && (
+                        <img
+                            src={qrUrl}
+                            alt="Invite QR code"
+                            width={160}
+                            height={160}
+                            style={{ borderRadius: '8px' }}
+                        />
+                    )}
+                    <button
+                        type="button"
+                        style={buttonStyle}
+                        disabled={!inviteLink}
+                        onClick={() => shareLink('invite', inviteLink)}
+                    >
+                        {copied === 'invite' ? 'Link copied' : 'Share invite'}
+                    </button>
+                    {/* Anyone opening this link sees our exact flower, without joining the pair */}
+                    <button
+                        type="button"
+                        style={buttonStyle}
+                        onClick={() => shareLink('flower', getGenomeLink(genome))}
+                    >
+                        {copied === 'flower' ? 'Link copied' : 'Share our flower'}
+                    </button>
+                    <button
+                        type="button"
+                        style={{ ...buttonStyle, color: 'rgba(255, 180, 150, 0.9)' }}
+                        onClick={handleUnpair}
+                    >
+                        {confirmUnpair ? 'Tap again to unpair' : 'Unpair'}
+                    </button>
+                </>
+            ) : (
+                <>
+                    <button type="button" style={buttonStyle} onClick={createPair}>
+                        Create invite
+                    </button>
+                    <div style={labelStyle}>or enter a code</div>
+                    <form onSubmit={handleRedeem} style={{ display: 'flex', gap: '8px' }}>
+                        <input
+                            value={codeInput}
+                            onChange={(e) => setCodeInput(e.target.value)}
+                            placeholder="ABCD-EFGH-…"
+                            autoCapitalize="characters"
+                            autoComplete="off"
+                            spellCheck={false}
+                            style={{
+                                ...buttonStyle,
+                                width: '14em',
+                                textAlign: 'center',
+                                cursor: 'text',
+                                userSelect: 'text',
+                                WebkitUserSelect: 'text',
+                            }}
+                        />
+                        <button type="submit" style={buttonStyle}>Join</button>
+                    </form>
+                    {error && (
+                        <div style={{ ...labelStyle, color: 'rgba(255, 160, 130, 0.8)' }}>
+                            {error}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,118 @@
+import React, { Suspense, useMemo } from 'react';
+import { Canvas } from '@react-three/fiber';
+import * as THREE from 'three';
+
+import Sunflower from './Sunflower';
+import SkyLighting from './SkyLighting';
+import { useSunPosition } from '../hooks/useSunPosition';
+import { useMoonPosition } from '../hooks/useMoonPosition';
+import { useWeather } from '../hooks/useWeather';
+import { useSetting } from '../hooks/useSetting';
+import { useFlowerRotation } from '../hooks/useFlowerRotation';
+import { useGenome } from '../hooks/useGenome';
+import { useGrowth } from '../hooks/useGrowth';
+import { getSkyPalette, applyOvercast } from '../lib/skyPalette';
+import { getOvercast } from '../lib/weather';
+
+function PartnerSkyContent({ sun, moon, weather }) {
+    const [heliotropism] = useSetting('heliotropism');
+    // The same flower as ours — a pair grows one genome, at one pace
+    const genome = useGenome();
+    const { progress: growth } = useGrowth();
+    const overcast = getOvercast(weather);
+    const palette = useMemo(
+        () => applyOvercast(getSkyPalette(sun.elevation, sun.rising), overcast),
+        [sun.elevation, sun.rising, overcast]
+    );
+    const nightFactor = 1 - sun.daylight;
+    // No partner to lean toward here — only the head moves, following her sun
+    const { plantRef, headRef } = useFlowerRotation(0, 0, {
+        sun: { azimuth: sun.azimuth, elevation: sun.elevation },
+        nightFactor,
+        heliotropism,
+    });
+
+    return (
+        <>
+            <SkyLighting sun={sun} moon={moon} palette={palette} overcast={overcast} lite />
+            <group ref={plantRef} position={[0, -0.5, 0]}>
+                <group rotation={[0.15, 0, 0]}>
+                    <Sunflower genome={genome} growth={growth} headRef={headRef} nightFactor={nightFactor} />
+                </group>
+            </group>
+        </>
+    );
+}
+
+/**
+ * Picture-in-picture of the partner's sky — a second, smaller sunflower lit
+ * by the real sun, moon and weather at her coordinates.
+ * Only mounted while her position is known (exact or coarse sharing).
+ * showWeather: she shares exactly and agreed to a weather lookup there —
+ * otherwise her position never goes to the weather API.
+ */
+export default function PartnerSky({ lat, lon, showWeather = false }) {
+    const sun = useSunPosition(lat, lon);
+    const moon = useMoonPosition(lat, lon);
+    const weather = useWeather(showWeather ? lat : null, showWeather ? lon : null);
+
+    return (
+        <div
+            style={{
+                position: 'fixed',
+                top: '16px',
+                right: '16px',
+                width: 'clamp(110px, 28vw, 200px)',
+                zIndex: 5,
+                pointerEvents: 'none',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                gap: '6px',
+            }}
+        >
+            <div
+                style={{
+                    width: '100%',
+                    aspectRatio: '3 / 4',
+                    borderRadius: '16px',
+                    overflow: 'hidden',
+                    border: '1px solid rgba(255, 215, 0, 0.35)',
+                    boxShadow: '0 0 24px rgba(255, 183, 0, 0.2)',
+                }}
+            >
+                <Canvas
+                    shadows={false}
+                    camera={{ position: [0, 1.2, 4.5], fov: 40, near: 0.1, far: 50 }}
+                    gl={{
+                        antialias: false,
+                        toneMapping: THREE.ACESFilmicToneMapping,
+                        toneMappingExposure: 1.35,
+                        outputColorSpace: THREE.SRGBColorSpace,
+                        powerPreference: 'low-power',
+                    }}
+                    dpr={1}
+                    onCreated={({ camera }) => camera.lookAt(0, 0.3, 0)}
+                >
+                    <Suspense fallback={null}>
+                        <PartnerSkyContent sun={sun} moon={moon} weather={weather} />
+                    </Suspense>
+                </Canvas>
+            </div>
+            <div
+                style={{
+                    fontFamily: "'Playfair Display', Georgia, serif",
+                    fontSize: 'clamp(10px, 2vw, 12px)',
+                    fontWeight: 300,
+                    letterSpacing: '0.2em',
+                    textTransform: 'uppercase',
+                    color: 'rgba(255, 220, 130, 0.7)',
+                    textShadow: '0 0 12px rgba(0, 0, 0, 0.6)',
+                    textAlign: 'center',
+                }}
+            >
+                her sky{weather && ` · ${weather.description}`}
+            </div>
+        </div>
+    );
+}
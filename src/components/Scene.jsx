@@ -1,6 +1,6 @@
-import React, { Suspense, useState, useCallback, useEffect, Component } from 'react';
+import React, { Suspense, useState, useCallback, useEffect, useMemo, Component } from 'react';
 import { Canvas, useThree, useFrame } from '@react-three/fiber';
-import { Environment, Sparkles, OrbitControls } from '@react-three/drei';
+import { Sparkles } from '@react-three/drei';
 import {
     EffectComposer,
     Bloom,
@@ -13,12 +13,23 @@ import * as THREE from 'three';
 
 import Sunflower from './Sunflower';
 import GodRaySource from './GodRaySource';
+import SkyLighting from './SkyLighting';
+import PartnerSky from './PartnerSky';
+import SignalEffects from './SignalEffects';
+import ArScene from './ArScene';
+import CameraRig from './CameraRig';
 import { useSunPosition } from '../hooks/useSunPosition';
+import { useMoonPosition } from '../hooks/useMoonPosition';
+import { useSetting } from '../hooks/useSetting';
 import { usePartnerLocation } from '../hooks/usePartnerLocation';
 import { useDeviceOrientation } from '../hooks/useDeviceOrientation';
 import { useFlowerRotation } from '../hooks/useFlowerRotation';
 import { useHeartbeat } from '../hooks/useHeartbeat';
+import { useGenome } from '../hooks/useGenome';
+import { useGrowth } from '../hooks/useGrowth';
+import { useAr } from '../hooks/useAr';
 import { isMobile, isLowEnd, safeDpr } from '../lib/deviceDetect';
+import { getSkyPalette } from '../lib/skyPalette';
 
 /**
  * Error boundary that catches WebGL / postprocessing crashes
@@ -38,33 +49,6 @@ class PostProcessingErrorBoundary extends Component {
     }
 }
 
-/** Simple warm gradient background for mobile — no HDR loading needed */
-function GradientBackground() {
-    return (
-        <>
-            <color attach="background" args={['#8B7355']} />
-            <mesh position={[0, 5, -15]} scale={[40, 20, 1]}>
-                <planeGeometry />
-                <meshBasicMaterial
-                    color="#C4A882"
-                    transparent
-                    opacity={0.6}
-                    side={THREE.DoubleSide}
-                />
-            </mesh>
-            <mesh position={[0, 15, -15]} scale={[40, 20, 1]}>
-                <planeGeometry />
-                <meshBasicMaterial
-                    color="#9BB8D3"
-                    transparent
-                    opacity={0.5}
-                    side={THREE.DoubleSide}
-                />
-            </mesh>
-        </>
-    );
-}
-
 /**
  * Adaptive performance monitor — watches FPS and lowers pixel ratio
  * if the device is struggling. This prevents freezes on low-end phones.
@@ -109,94 +93,140 @@ function PerformanceMonitor() {
     return null;
 }
 
+// Tilt beyond this from how the phone is usually held counts as full parallax
+const PARALLAX_TILT_DEG = 20;
+// Camera shift at full parallax, in scene units
+const PARALLAX_SHIFT = 0.35;
+// "How the phone is usually held" catches up over a couple of seconds
+const PARALLAX_REST_SECONDS = 2;
+const parallaxRight = new THREE.Vector3();
+const parallaxUp = new THREE.Vector3();
+const parallaxTarget = new THREE.Vector3(0, 0.3, 0);
+
+/**
+ * Tilt parallax — shifts the camera a little with how the phone is held,
+ * relative to how it has been held lately, so the scene feels like it sits
+ * behind the glass. The shift is taken off again before OrbitControls
+ * updates (it runs at priority -1) so the orbit never drifts; mount it
+ * after CameraRig so the rig places the camera first.
+ */
+function TiltParallax({ tilt, enabled }) {
+    const restRef = React.useRef(null);
+    const currentRef = React.useRef({ x: 0, y: 0 });
+    const appliedRef = React.useRef(new THREE.Vector3());
+
+    useFrame(({ camera }) => {
+        camera.position.sub(appliedRef.current);
+        appliedRef.current.set(0, 0, 0);
+    }, -2);
+
+    useFrame(({ camera, controls }, delta) => {
+        let x = 0;
+        let y = 0;
+        if (tilt) {
+            const rest = restRef.current ?? { ...tilt };
+            const k = 1 - Math.exp(-delta / PARALLAX_REST_SECONDS);
+            rest.beta += (tilt.beta - rest.beta) * k;
+            rest.gamma += (tilt.gamma - rest.gamma) * k;
+            restRef.current = rest;
+            if (enabled) {
+                x = THREE.MathUtils.clamp((tilt.gamma - rest.gamma) / PARALLAX_TILT_DEG, -1, 1);
+                y = THREE.MathUtils.clamp((tilt.beta - rest.beta) / PARALLAX_TILT_DEG, -1, 1);
+            }
+        }
+
+        const current = currentRef.current;
+        const k = 1 - Math.exp(-delta * 6);
+        current.x += (x - current.x) * k;
+        current.y += (y - current.y) * k;
+        if (Math.abs(current.x) < 1e-4 && Math.abs(current.y) < 1e-4) return;
+
+        // Along the camera's own right and up, then look back at the flower
+        parallaxRight.set(1, 0, 0).applyQuaternion(camera.quaternion);
+        parallaxUp.set(0, 1, 0).applyQuaternion(camera.quaternion);
+        appliedRef.current
+            .copy(parallaxRight).multiplyScalar(current.x * PARALLAX_SHIFT)
+            .addScaledVector(parallaxUp, -current.y * PARALLAX_SHIFT);
+        camera.position.add(appliedRef.current);
+        camera.lookAt(controls?.target ?? parallaxTarget);
+    });
+
+    return null;
+}
+
 function SceneContent() {
     const [sunMesh, setSunMesh] = useState(null);
-    const sunRef = useCallback((node) => {
-        if (node) setSunMesh(node);
-    }, []);
-
-    const { position: sunPosition } = useSunPosition();
-    const { bearing, distance } = usePartnerLocation();
-    const { heading } = useDeviceOrientation();
-    const flowerRef = useFlowerRotation(bearing, heading);
-    const heartbeatScale = useHeartbeat(distance);
+    // Cleared when the sun sets and its god-ray source unmounts
+    const sunRef = useCallback((node) => setSunMesh(node), []);
+
+    const [eternalGoldenHour] = useSetting('eternalGoldenHour');
+    const [heliotropism] = useSetting('heliotropism');
+    const [tiltParallax] = useSetting('tiltParallax');
+    const [cameraMode] = useSetting('cameraMode');
+    const { bearing, distance, distanceAccuracy, partnerSeenAt, selfLat, selfLon } = usePartnerLocation();
+    const sun = useSunPosition(selfLat, selfLon, { eternalGoldenHour });
+    const { position: sunPosition, azimuth, displayElevation, daylight, rising } = sun;
+    const moon = useMoonPosition(selfLat, selfLon);
+    const nightFactor = 1 - daylight;
+    const sunUp = displayElevation > -1;
+    const palette = useMemo(() => getSkyPalette(displayElevation, rising), [displayElevation, rising]);
+    const { heading, tilt } = useDeviceOrientation();
+    const { plantRef, headRef } = useFlowerRotation(bearing, heading, {
+        sun: { azimuth, elevation: displayElevation },
+        nightFactor,
+        heliotropism,
+    });
+    const heartbeatScale = useHeartbeat(distance, distanceAccuracy, partnerSeenAt);
+    const genome = useGenome();
+    const { progress: growth } = useGrowth();
+    const ar = useAr();
+
+    // AR — the flower over the real world, facing her (see lib/ar.js)
+    if (ar.mode) {
+        return (
+            <>
+                {isMobile && <PerformanceMonitor />}
+                <ArScene
+                    mode={ar.mode}
+                    session={ar.session}
+                    bearing={bearing}
+                    distance={distance}
+                    heading={heading}
+                    heartbeatScale={heartbeatScale}
+                    genome={genome}
+                    growth={growth}
+                />
+            </>
+        );
+    }
 
     return (
         <>
             {/* Adaptive performance monitor */}
             {isMobile && <PerformanceMonitor />}
 
-            {/* Background — HDR environment on desktop, simple gradient on mobile */}
-            {isMobile ? (
-                <GradientBackground />
-            ) : (
-                <Environment preset="sunset" background backgroundBlurriness={0.8} />
-            )}
-
-            {/* Fog for atmosphere — shorter range on mobile */}
-            <fog attach="fog" args={['#1a0f00', isMobile ? 6 : 8, isMobile ? 20 : 30]} />
-
-            {/* Main directional light matching sun position */}
-            <directionalLight
-                position={sunPosition}
-                intensity={2.8}
-                color="#FFD080"
-                castShadow={false}
-                shadow-mapSize={[512, 512]}
-            />
-
-            {/* Warm ambient fill — brighter on mobile to compensate for no Environment */}
-            <ambientLight intensity={isMobile ? 0.8 : 0.3} color="#FFE0A0" />
-
-            {/* Hemisphere light for mobile — fills in the missing HDR illumination */}
-            {isMobile && (
-                <hemisphereLight
-                    args={['#87CEEB', '#8B7355', 0.6]}
-                />
-            )}
-
-            {/* Backlight for enhanced SSS — behind the flower */}
-            {!isLowEnd && (
-                <pointLight
-                    position={[-3, 4, -5]}
-                    intensity={2.2}
-                    color="#FF8C00"
-                    distance={20}
-                    decay={2}
-                />
-            )}
-
-            {/* Rim light from below — skip on low-end */}
-            {!isLowEnd && (
-                <pointLight
-                    position={[0, -2, 3]}
-                    intensity={0.8}
-                    color="#FFD700"
-                    distance={15}
-                    decay={2}
-                />
-            )}
+            {/* Sky, fog and lights for the real sun and moon at the viewer's location */}
+            <SkyLighting sun={sun} moon={moon} palette={palette} />
 
-            {/* Extra fill light on mobile for visibility */}
-            {isMobile && (
-                <pointLight
-                    position={[3, 2, 5]}
-                    intensity={0.8}
-                    color="#FFF0D0"
-                    distance={20}
-                    decay={2}
-                />
-            )}
-
-            {/* The Sunflower — tilted slightly toward viewer */}
-            <group ref={flowerRef} position={[0, -0.5, 0]}>
+            {/* The Sunflower — the plant leans toward her, the head follows the sun */}
+            <group ref={plantRef} position={[0, -0.5, 0]}>
                 <group rotation={[0.15, 0, 0]}>
-                    <Sunflower heartbeatScale={heartbeatScale} />
+                    <Sunflower
+                        genome={genome}
+                        growth={growth}
+                        heartbeatScale={heartbeatScale}
+                        headRef={headRef}
+                        nightFactor={nightFactor}
+                        interactive
+                    />
                 </group>
             </group>
 
-            {/* God Ray light source — desktop only */}
-            {!isMobile && (
+            {/* Petal bursts and sparkle swirls for signals between the two of us */}
+            <SignalEffects />
+
+            {/* God Ray light source — desktop only, while the sun is up */}
+            {!isMobile && sunUp && (
                 <GodRaySource position={sunPosition} sunRef={sunRef} />
             )}
 
@@ -225,20 +255,11 @@ function SceneContent() {
                 />
             )}
 
-            {/* Orbit controls */}
-            <OrbitControls
-                enablePan={false}
-                enableZoom={true}
-                minDistance={2}
-                maxDistance={12}
-                minPolarAngle={Math.PI / 6}
-                maxPolarAngle={Math.PI / 2.2}
-                autoRotate
-                autoRotateSpeed={0.3}
-                enableDamping
-                dampingFactor={0.05}
-                target={[0, 0.3, 0]}
-            />
+            {/* Compass, free orbit or cinematic camera */}
+            <CameraRig mode={cameraMode} />
+
+            {/* Shift the camera with how the phone is held */}
+            <TiltParallax tilt={tilt} enabled={tiltParallax} />
 
             {/* Postprocessing — desktop gets full suite, mobile gets subtle bloom only */}
             {isMobile ? (
@@ -255,9 +276,9 @@ function SceneContent() {
                     </PostProcessingErrorBoundary>
                 )
             ) : (
-                sunMesh && (
-                    <PostProcessingErrorBoundary>
-                        <EffectComposer multisampling={0}>
+                <PostProcessingErrorBoundary>
+                    <EffectComposer multisampling={0}>
+                        {sunMesh && (
                             <GodRays
                                 sun={sunMesh}
                                 blendFunction={BlendFunction.SCREEN}
@@ -269,30 +290,56 @@ function SceneContent() {
                                 clampMax={1}
                                 kernelSize={KernelSize.SMALL}
                             />
-                            <Bloom
-                                intensity={0.5}
-                                luminanceThreshold={0.7}
-                                luminanceSmoothing={0.3}
-                                kernelSize={KernelSize.LARGE}
-                            />
-                            <Noise
-                                premultiply
-                                blendFunction={BlendFunction.ADD}
-                                opacity={0.03}
-                            />
-                            <Vignette
-                                offset={0.3}
-                                darkness={0.7}
-                                blendFunction={BlendFunction.NORMAL}
-                            />
-                        </EffectComposer>
-                    </PostProcessingErrorBoundary>
-                )
+                        )}
+                        <Bloom
+                            intensity={0.5}
+                            luminanceThreshold={0.7}
+                            luminanceSmoothing={0.3}
+                            kernelSize={KernelSize.LARGE}
+                        />
+                        <Noise
+                            premultiply
+                            blendFunction={BlendFunction.ADD}
+                            opacity={0.03}
+                        />
+                        <Vignette
+                            offset={0.3}
+                            darkness={0.7}
+                            blendFunction={BlendFunction.NORMAL}
+                        />
+                    </EffectComposer>
+                </PostProcessingErrorBoundary>
             )}
         </>
     );
 }
 
+/** The rear camera behind the transparent Canvas, for AR without WebXR */
+function CameraFeed({ stream }) {
+    const videoRef = React.useRef(null);
+
+    useEffect(() => {
+        if (videoRef.current) videoRef.current.srcObject = stream;
+    }, [stream]);
+
+    return (
+        <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                width: '100vw',
+                height: '100vh',
+                objectFit: 'cover',
+            }}
+        />
+    );
+}
+
 /** Loading overlay shown while the 3D scene is loading */
 function LoadingScreen({ ready }) {
     const [fadeOut, setFadeOut] = useState(false);
@@ -367,10 +414,14 @@ function LoadingScreen({ ready }) {
 
 export default function Scene() {
     const [loaded, setLoaded] = useState(false);
+    const [showPartnerSky] = useSetting('partnerSky');
+    const { partnerLat, partnerLon, partnerWeather } = usePartnerLocation();
+    const ar = useAr();
 
     return (
         <>
             <LoadingScreen ready={loaded} />
+            {ar.mode === 'camera' && <CameraFeed stream={ar.stream} />}
             <Canvas
                 shadows={false}
                 camera={{
@@ -411,6 +462,11 @@ export default function Scene() {
                     <SceneContent />
                 </Suspense>
             </Canvas>
+
+            {/* Her sky, picture-in-picture — needs her actual coordinates */}
+            {showPartnerSky && !ar.mode && partnerLat != null && partnerLon != null && (
+                <PartnerSky lat={partnerLat} lon={partnerLon} showWeather={partnerWeather} />
+            )}
         </>
     );
 }
@@ -0,0 +1,179 @@
+import React from 'react';
+import { useSetting } from '../hooks/useSetting';
+import { PRIVACY_MODES } from '../lib/privacy';
+import { buttonStyle, activeButtonStyle, labelStyle, cardStyle } from './panelStyles';
+
+// How we look at the flower (see CameraRig)
+const CAMERA_OPTIONS = [
+    { value: 'compass', label: 'Where I face' },
+    { value: 'orbit', label: 'Free orbit' },
+    { value: 'cinematic', label: 'Cinematic' },
+];
+
+// How strongly the flower head follows the sun (see useFlowerRotation)
+const HELIOTROPISM_OPTIONS = [
+    { value: 0, label: 'Her' },
+    { value: 0.6, label: 'Her & the sun' },
+    { value: 1, label: 'The sun' },
+];
+
+/**
+ * Settings — how precisely your location is shared, and how the sky and view behave.
+ * Mounted above the overlay's pill row while open.
+ */
+export default function SettingsPanel() {
+    const [privacyMode, setPrivacyMode] = useSetting('privacyMode');
+    const [eternalGoldenHour, setEternalGoldenHour] = useSetting('eternalGoldenHour');
+    const [heliotropism, setHeliotropism] = useSetting('heliotropism');
+    const [partnerSky, setPartnerSky] = useSetting('partnerSky');
+    const [shareWeather, setShareWeather] = useSetting('shareWeather');
+    const [tiltParallax, setTiltParallax] = useSetting('tiltParallax');
+    const [compassHud, setCompassHud] = useSetting('compassHud');
+    const [cameraMode, setCameraMode] = useSetting('cameraMode');
+    const current = PRIVACY_MODES.find((m) => m.id === privacyMode) ?? PRIVACY_MODES[0];
+
+    return (
+        <div style={cardStyle}>
+            <div style={labelStyle}>Share my location</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                {PRIVACY_MODES.map((mode) => (
+                    <button
+                        key={mode.id}
+                        type="button"
+                        style={mode.id === current.id ? activeButtonStyle : buttonStyle}
+                        onClick={() => setPrivacyMode(mode.id)}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+            <div
+                style={{
+                    fontSize: 'clamp(11px, 2.2vw, 14px)',
+                    fontStyle: 'italic',
+                    color: 'rgba(255, 220, 130, 0.7)',
+                }}
+            >
+                {current.description}
+            </div>
+
+            <div style={labelStyle}>Her sky may show my weather</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <button
+                    type="button"
+                    style={shareWeather ? buttonStyle : activeButtonStyle}
+                    onClick={() => setShareWeather(false)}
+                >
+                    No
+                </button>
+                <button
+                    type="button"
+                    style={shareWeather ? activeButtonStyle : buttonStyle}
+                    onClick={() => setShareWeather(true)}
+                >
+                    Yes, when exact
+                </button>
+            </div>
+
+            <div style={labelStyle}>Sky</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <button
+                    type="button"
+                    style={eternalGoldenHour ? buttonStyle : activeButtonStyle}
+                    onClick={() => setEternalGoldenHour(false)}
+                >
+                    Day &amp; night
+                </button>
+                <button
+                    type="button"
+                    style={eternalGoldenHour ? activeButtonStyle : buttonStyle}
+                    onClick={() => setEternalGoldenHour(true)}
+                >
+                    Eternal golden hour
+                </button>
+            </div>
+
+            <div style={labelStyle}>Her sky</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <button
+                    type="button"
+                    style={partnerSky ? buttonStyle : activeButtonStyle}
+                    onClick={() => setPartnerSky(false)}
+                >
+                    Hidden
+                </button>
+                <button
+                    type="button"
+                    style={partnerSky ? activeButtonStyle : buttonStyle}
+                    onClick={() => setPartnerSky(true)}
+                >
+                    Picture in picture
+                </button>
+            </div>
+
+            <div style={labelStyle}>Camera</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                {CAMERA_OPTIONS.map((option) => (
+                    <button
+                        key={option.value}
+                        type="button"
+                        style={option.value === cameraMode ? activeButtonStyle : buttonStyle}
+                        onClick={() => setCameraMode(option.value)}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            <div style={labelStyle}>When I tilt my phone</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <button
+                    type="button"
+                    style={tiltParallax ? buttonStyle : activeButtonStyle}
+                    onClick={() => setTiltParallax(false)}
+                >
+                    Hold still
+                </button>
+                <button
+                    type="button"
+                    style={tiltParallax ? activeButtonStyle : buttonStyle}
+                    onClick={() => setTiltParallax(true)}
+                >
+                    Shift the view
+                </button>
+            </div>
+
+            <div style={labelStyle}>Compass</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <button
+                    type="button"
+                    style={compassHud ? buttonStyle : activeButtonStyle}
+                    onClick={() => setCompassHud(false)}
+                >
+                    Hidden
+                </button>
+                <button
+                    type="button"
+                    style={compassHud ? activeButtonStyle : buttonStyle}
+                    onClick={() => setCompassHud(true)}
+                >
+                    Show her direction
+                </button>
+            </div>
+
+            <div style={labelStyle}>The flower faces</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                {HELIOTROPISM_OPTIONS.map((option) => (
+                    <button
+                        key={option.value}
+                        type="button"
+                        style={option.value === heliotropism ? activeButtonStyle : buttonStyle}
+                        onClick={() => setHeliotropism(option.value)}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,144 @@
+import React, { useEffect, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { isMobile, isLowEnd } from '../lib/deviceDetect';
+import { mulberry32 } from '../lib/genome';
+import { subscribeSignals } from '../lib/signals';
+
+/* ---------- constants ---------- */
+// Where the flower head sits in the scene
+const HEAD = new THREE.Vector3(0, 0.05, 0);
+
+const BURST_SECONDS = 3.2;
+const SWIRL_SECONDS = 3.5;
+const BURST_COUNT = isLowEnd ? 16 : isMobile ? 28 : 48;
+const SWIRL_COUNT = isLowEnd ? 24 : isMobile ? 45 : 100;
+
+const dummy = new THREE.Object3D();
+
+// Fixed per-particle variation — every burst and swirl plays the same way
+const random = mulberry32(0x5167);
+
+const BURST_PETALS = Array.from({ length: BURST_COUNT }, () => {
+    const angle = random() * Math.PI * 2;
+    const lift = 0.3 + random() * 0.9;
+    return {
+        direction: new THREE.Vector3(Math.cos(angle), lift, Math.sin(angle)).normalize(),
+        speed: 0.9 + random() * 0.8,
+        spin: new THREE.Euler(random() * 6, random() * 6, random() * 6),
+        spinRate: 2 + random() * 4,
+        sway: random() * Math.PI * 2,
+        size: 0.7 + random() * 0.6,
+    };
+});
+
+const SWIRL_SPARKS = Array.from({ length: SWIRL_COUNT }, () => ({
+    angle: random() * Math.PI * 2,
+    radius: 0.45 + random() * 0.5,
+    rise: 0.8 + random() * 0.8,
+    delay: random() * 0.35,
+    size: 0.6 + random() * 0.8,
+}));
+
+/** 0 → 1 → 0 over a particle's life, with a quick rise and a slow fade */
+function envelope(u) {
+    if (u <= 0 || u >= 1) return 0;
+    return Math.min(u * 8, 1) * (1 - u * u);
+}
+
+/**
+ * Visual side of signals (see lib/signals): a kiss bursts petals from the
+ * flower head, "thinking of you" swirls sparkles around it. The hug is a
+ * heartbeat spike, played by useHeartbeat. Plays for sent and received
+ * signals alike, so both partners see the same moment.
+ */
+export default function SignalEffects() {
+    const burstRef = useRef();
+    const swirlRef = useRef();
+    // Seconds since each effect started, null while idle
+    const playingRef = useRef({ petals: null, sparkles: null });
+
+    useEffect(() => subscribeSignals(({ signal }) => {
+        if (signal.effect in playingRef.current) playingRef.current[signal.effect] = 0;
+    }), []);
+
+    useFrame((_, delta) => {
+        const playing = playingRef.current;
+
+        const burst = burstRef.current;
+        if (burst) {
+            if (playing.petals != null) playing.petals += delta;
+            if (playing.petals > BURST_SECONDS) playing.petals = null;
+            burst.visible = playing.petals != null;
+
+            if (burst.visible) {
+                const t = playing.petals;
+                // Thrown out fast, then drifting down on the air
+                const travel = 1 - Math.exp(-t * 2.2);
+                BURST_PETALS.forEach((p, i) => {
+                    dummy.position.copy(p.direction).multiplyScalar(p.speed * travel * 0.6).add(HEAD);
+                    dummy.position.y -= t * t * 0.06;
+                    dummy.position.x += Math.sin(t * 3 + p.sway) * 0.04 * t;
+                    dummy.rotation.set(
+                        p.spin.x + t * p.spinRate,
+                        p.spin.y + t * p.spinRate * 0.5,
+                        p.spin.z
+                    );
+                    dummy.scale.setScalar(p.size * envelope(t / BURST_SECONDS));
+                    dummy.updateMatrix();
+                    burst.setMatrixAt(i, dummy.matrix);
+                });
+                burst.instanceMatrix.needsUpdate = true;
+            }
+        }
+
+        const swirl = swirlRef.current;
+        if (swirl) {
+            if (playing.sparkles != null) playing.sparkles += delta;
+            if (playing.sparkles > SWIRL_SECONDS) playing.sparkles = null;
+            swirl.visible = playing.sparkles != null;
+
+            if (swirl.visible) {
+                const t = playing.sparkles;
+                // Spiral up around the flower, tightening as they rise
+                SWIRL_SPARKS.forEach((s, i) => {
+                    const u = Math.max(t - s.delay, 0) / (SWIRL_SECONDS - s.delay);
+                    const angle = s.angle + u * Math.PI * 3;
+                    const radius = s.radius * (1 - u * 0.6);
+                    dummy.position.set(
+                        HEAD.x + Math.cos(angle) * radius,
+                        HEAD.y - 0.4 + u * s.rise,
+                        HEAD.z + Math.sin(angle) * radius
+                    );
+                    dummy.rotation.set(0, 0, 0);
+                    dummy.scale.setScalar(s.size * envelope(u));
+                    dummy.updateMatrix();
+                    swirl.setMatrixAt(i, dummy.matrix);
+                });
+                swirl.instanceMatrix.needsUpdate = true;
+            }
+        }
+    });
+
+    return (
+        <>
+            {/* Kiss — a burst of loose petals */}
+            <instancedMesh ref={burstRef} args={[undefined, undefined, BURST_COUNT]} visible={false} frustumCulled={false}>
+                <planeGeometry args={[0.05, 0.12]} />
+                <meshStandardMaterial
+                    color="#FFC107"
+                    emissive="#FFB300"
+                    emissiveIntensity={0.3}
+                    roughness={0.6}
+                    side={THREE.DoubleSide}
+                />
+            </instancedMesh>
+
+            {/* Thinking of you — a swirl of bright sparks, bright enough to bloom */}
+            <instancedMesh ref={swirlRef} args={[undefined, undefined, SWIRL_COUNT]} visible={false} frustumCulled={false}>
+                <octahedronGeometry args={[0.018, 0]} />
+                <meshBasicMaterial color="#FFF3B0" toneMapped={false} />
+            </instancedMesh>
+        </>
+    );
+}
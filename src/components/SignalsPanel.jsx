@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { SIGNALS, getSignal, sendSignal } from '../lib/signals';
+import { useSignalHistory } from '../hooks/useSignalHistory';
+import { useNow } from '../hooks/useNow';
+import { formatTimeAgo } from '../lib/timeAgo';
+import { buttonStyle, labelStyle, cardStyle } from './panelStyles';
+
+const STATUS_TEXT = {
+    'rate-limited': 'Slow down a little — let her catch up',
+    offline: 'She isn’t here right now',
+};
+
+/**
+ * Send a touch — "thinking of you", a kiss or a hug — and the last few
+ * signals between the two of you. Mounted above the overlay's pill row while open.
+ */
+export default function SignalsPanel() {
+    const history = useSignalHistory();
+    const [status, setStatus] = useState(null);
+    const now = useNow();
+
+    const handleSend = async (id) => {
+        const result = await sendSignal(id);
+        setStatus(result === 'sent' ? null : STATUS_TEXT[result]);
+    };
+
+    return (
+        <div style={cardStyle}>
+            <div style={labelStyle}>Send a touch</div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                {SIGNALS.map((signal) => (
+                    <button
+                        key={signal.id}
+                        type="button"
+                        style={buttonStyle}
+                        onClick={() => handleSend(signal.id)}
+                    >
+                        {signal.icon} {signal.label}
+                    </button>
+                ))}
+            </div>
+            {status && (
+                <div style={{ ...labelStyle, color: 'rgba(255, 160, 130, 0.8)' }}>
+                    {status}
+                </div>
+            )}
+
+            {history.length > 0 && (
+                <div
+                    style={{
+                        display: 'flex',
+                        flexDirection: 'column',
+                        alignItems: 'center',
+                        gap: '4px',
+                        fontSize: 'clamp(11px, 2.2vw, 14px)',
+                        fontStyle: 'italic',
+                        color: 'rgba(255, 220, 130, 0.7)',
+                    }}
+                >
+                    {history.slice(0, 5).map((entry) => {
+                        const signal = getSignal(entry.id);
+                        return (
+                            <div key={`${entry.at}-${entry.id}-${entry.fromPartner}`}>
+                                {signal.icon} {entry.fromPartner ? signal.receivedText : signal.sentText}
+                                <span style={{ opacity: 0.6 }}> · {formatTimeAgo(entry.at, now)}</span>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,131 @@
+import React, { Suspense } from 'react';
+import { Environment, useEnvironment } from '@react-three/drei';
+import * as THREE from 'three';
+
+import NightSky from './NightSky';
+import { isMobile, isLowEnd } from '../lib/deviceDetect';
+import { ENVIRONMENT_PRESETS } from '../lib/skyPalette';
+
+// Fetch every preset up front, so the light changing over the day swaps
+// cached textures instead of suspending on a fresh HDR download
+if (!isMobile) {
+    ENVIRONMENT_PRESETS.forEach((preset) => useEnvironment.preload({ preset }));
+}
+
+/** Simple gradient background for mobile — no HDR loading needed */
+function GradientBackground({ palette }) {
+    return (
+        <>
+            <color attach="background" args={[palette.background]} />
+            <mesh position={[0, 5, -15]} scale={[40, 20, 1]}>
+                <planeGeometry />
+                <meshBasicMaterial
+                    color={palette.horizon}
+                    transparent
+                    opacity={0.6}
+                    side={THREE.DoubleSide}
+                />
+            </mesh>
+            <mesh position={[0, 15, -15]} scale={[40, 20, 1]}>
+                <planeGeometry />
+                <meshBasicMaterial
+                    color={palette.sky}
+                    transparent
+                    opacity={0.5}
+                    side={THREE.DoubleSide}
+                />
+            </mesh>
+        </>
+    );
+}
+
+/**
+ * Background, fog, sun/fill lights and the night sky for one place —
+ * shared by the main scene and the partner's sky.
+ *
+ * sun: from useSunPosition, moon: from useMoonPosition, palette: from getSkyPalette
+ * overcast: 0 (clear) → 1 (heavy cloud), dims the sunlight
+ * lite: force the cheap mobile setup (gradient background, no HDR)
+ */
+export default function SkyLighting({ sun, moon, palette, overcast = 0, lite = false }) {
+    const simple = isMobile || lite;
+    const { daylight } = sun;
+    const nightFactor = 1 - daylight;
+    const sunlight = daylight * (1 - overcast * 0.7);
+
+    return (
+        <>
+            {/* Background — HDR environment on desktop, simple gradient on mobile,
+                both following the real sun. The gradient stands in while an HDR
+                is still loading, so only the sky waits, not the whole scene. */}
+            {simple ? (
+                <GradientBackground palette={palette} />
+            ) : (
+                <Suspense fallback={<GradientBackground palette={palette} />}>
+                    <Environment preset={palette.environment} background backgroundBlurriness={0.8} />
+                </Suspense>
+            )}
+
+            {/* Fog for atmosphere — shorter range on mobile */}
+            <fog attach="fog" args={[palette.fog, simple ? 6 : 8, simple ? 20 : 30]} />
+
+            {/* Main directional light matching sun position — fades out at night */}
+            <directionalLight
+                position={sun.position}
+                intensity={2.8 * sunlight}
+                color="#FFD080"
+                castShadow={false}
+                shadow-mapSize={[512, 512]}
+            />
+
+            {/* Warm ambient fill — brighter on mobile to compensate for no Environment,
+                dimmer at night so the moonlight reads */}
+            <ambientLight intensity={(simple ? 0.8 : 0.3) * (0.4 + 0.6 * daylight)} color="#FFE0A0" />
+
+            {/* Hemisphere light for mobile — fills in the missing HDR illumination */}
+            {simple && (
+                <hemisphereLight
+                    args={['#87CEEB', '#8B7355', 0.6 * (0.3 + 0.7 * daylight)]}
+                />
+            )}
+
+            {/* Stars, moon and moonlight — only once the sun is going down */}
+            {nightFactor > 0.01 && (
+                <NightSky nightFactor={nightFactor} moon={moon} sunPosition={sun.position} />
+            )}
+
+            {/* Backlight for enhanced SSS — behind the flower */}
+            {!isLowEnd && (
+                <pointLight
+                    position={[-3, 4, -5]}
+                    intensity={2.2 * (0.25 + 0.75 * sunlight)}
+                    color="#FF8C00"
+                    distance={20}
+                    decay={2}
+                />
+            )}
+
+            {/* Rim light from below — skip on low-end */}
+            {!isLowEnd && (
+                <pointLight
+                    position={[0, -2, 3]}
+                    intensity={0.8 * (0.25 + 0.75 * sunlight)}
+                    color="#FFD700"
+                    distance={15}
+                    decay={2}
+                />
+            )}
+
+            {/* Extra fill light on mobile for visibility */}
+            {simple && (
+                <pointLight
+                    position={[3, 2, 5]}
+                    intensity={0.8}
+                    color="#FFF0D0"
+                    distance={20}
+                    decay={2}
+                />
+            )}
+        </>
+    );
+}
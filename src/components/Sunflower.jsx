@@ -1,32 +1,41 @@
-import React, { useMemo, useRef } from 'react';
+import React, { useEffect, useLayoutEffect, useMemo, useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { useTexture } from '@react-three/drei';
 import * as THREE from 'three';
 import { isMobile, isLowEnd } from '../lib/deviceDetect';
+import { CLASSIC_GENOME, genomeRandom } from '../lib/genome';
+import { BLOOM_PROGRESS, getGrowthPose } from '../lib/growth';
+import { FLUTTER_MS, PETAL_FALL_MS, PETAL_REGROW_AFTER_MS, PETAL_REGROW_MS } from '../lib/gestures';
+import { useFlowerGestures, petalKey } from '../hooks/useFlowerGestures';
 
 /* ---------- constants ---------- */
 const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5)); // ≈ 137.508°
+const PETAL_NIGHT_CLOSE = 0.55; // extra upward tilt of petals at full night (radians)
+const HEAD_NIGHT_DROOP = 0.3; // forward bow of the flower head at full night (radians)
+// Curl/twist/ripple variants built per ring, so neighbouring petals differ
+const PETAL_SHAPE_VARIANTS = isLowEnd ? 2 : 3;
 
 /* ================================================================
-   Petal shape — wider in the middle, pointed tip, narrow base
+   Petal shape — wider in the middle, pointed tip, narrow base.
+   One outline for every petal; the width gene scales each instance in x.
    ================================================================ */
-function createPetalShape(widthScale = 1) {
+function createPetalShape() {
     const shape = new THREE.Shape();
-    const w = widthScale;
     shape.moveTo(0, 0);
-    shape.bezierCurveTo(0.08 * w, 0.06, 0.16 * w, 0.22, 0.15 * w, 0.42);
-    shape.bezierCurveTo(0.14 * w, 0.58, 0.11 * w, 0.74, 0.06 * w, 0.88);
-    shape.bezierCurveTo(0.03 * w, 0.94, 0.008 * w, 0.98, 0, 1.0);
-    shape.bezierCurveTo(-0.008 * w, 0.98, -0.03 * w, 0.94, -0.06 * w, 0.88);
-    shape.bezierCurveTo(-0.11 * w, 0.74, -0.14 * w, 0.58, -0.15 * w, 0.42);
-    shape.bezierCurveTo(-0.16 * w, 0.22, -0.08 * w, 0.06, 0, 0);
+    shape.bezierCurveTo(0.08, 0.06, 0.16, 0.22, 0.15, 0.42);
+    shape.bezierCurveTo(0.14, 0.58, 0.11, 0.74, 0.06, 0.88);
+    shape.bezierCurveTo(0.03, 0.94, 0.008, 0.98, 0, 1.0);
+    shape.bezierCurveTo(-0.008, 0.98, -0.03, 0.94, -0.06, 0.88);
+    shape.bezierCurveTo(-0.11, 0.74, -0.14, 0.58, -0.15, 0.42);
+    shape.bezierCurveTo(-0.16, 0.22, -0.08, 0.06, 0, 0);
     return shape;
 }
 
 /* ================================================================
    Curved petal geometry with longitudinal curl and transverse channel
+   genes: the genome's `petal` parameters (curl, channel, twist)
    ================================================================ */
-function createCurvedPetalGeometry(petalShape, ring, randomSeed) {
+function createCurvedPetalGeometry(petalShape, ring, randomSeed, genes) {
     const extrudeSettings = isMobile
         ? { depth: 0.008, bevelEnabled: false, curveSegments: 4 }
         : {
@@ -49,15 +58,15 @@ function createCurvedPetalGeometry(petalShape, ring, randomSeed) {
         const z = arr[i * 3 + 2];
 
         // Longitudinal curl — petals curl backward more at tips, outer rings curl more
-        const curlAmount = 0.06 + ring * 0.03 + randomSeed * 0.015;
+        const curlAmount = genes.curl + ring * 0.03 + randomSeed * 0.015;
         arr[i * 3 + 2] = z + Math.pow(y, 2.2) * curlAmount;
 
         // Transverse channel — slight gutter shape
-        const channelDepth = 0.018 + ring * 0.01;
+        const channelDepth = genes.channel + ring * 0.01;
         arr[i * 3 + 2] += Math.pow(Math.abs(x) * 6, 2) * channelDepth * (1 - y * 0.4);
 
         // Slight natural twist
-        arr[i * 3 + 2] += x * y * (0.10 + randomSeed * 0.06);
+        arr[i * 3 + 2] += x * y * (genes.twist + randomSeed * 0.06);
 
         // Subtle lateral wave for organic feel (desktop only)
         if (!isMobile) {
@@ -85,139 +94,230 @@ function createSepalShape() {
 }
 
 /* ================================================================
-   Individual Petal component
+   Petal layout — Fibonacci ring counts from the genome, with
+   golden-angle offsets between rings. Each ring gets a few seeded
+   shape variants and every petal is drawn with one of them, so
+   instancing stays at a handful of draw calls per ring and mobile
+   gets the full three rings too.
    ================================================================ */
-function Petal({ index, total, ring, ringRadius, timeOffset, heartbeatScale, petalTexture, goldenOffset }) {
-    const meshRef = useRef();
-    const angle = (index / total) * Math.PI * 2 + goldenOffset;
-
-    // Per-petal random variations (seeded from index for stability)
-    const randomSeed = useMemo(() => {
-        const s = Math.sin(index * 127.1 + ring * 311.7) * 43758.5453;
-        return s - Math.floor(s); // 0-1 deterministic pseudo-random
-    }, [index, ring]);
-
-    const widthVariation = useMemo(() => 0.85 + randomSeed * 0.3, [randomSeed]);
-    const petalShape = useMemo(() => createPetalShape(widthVariation), [widthVariation]);
-    const geometry = useMemo(() => createCurvedPetalGeometry(petalShape, ring, randomSeed), [petalShape, ring, randomSeed]);
+function createPetalLayout(genome) {
+    const genes = genome.petal;
+    const random = genomeRandom(genome, 'petals');
+    // Its own stream, so adding shape variants left every other gene as it was
+    const shapeRandom = genomeRandom(genome, 'petal-shapes');
+
+    return genes.rings.slice(0, isLowEnd ? 2 : 3).map((count, ring) => {
+        const variantSeeds = Array.from({ length: PETAL_SHAPE_VARIANTS }, () => shapeRandom());
+        // Instance slot of each petal within its variant's mesh
+        const variantSizes = new Array(PETAL_SHAPE_VARIANTS).fill(0);
+        const radius = genes.radius + ring * genes.radiusStep;
+        const goldenOffset = GOLDEN_ANGLE * ring * 0.5;
+        const petals = [];
+        for (let index = 0; index < count; index++) {
+            const angle = (index / count) * Math.PI * 2 + goldenOffset;
+            const seed = random();
+            const variant = Math.floor(shapeRandom() * PETAL_SHAPE_VARIANTS);
+            petals.push({
+                variant,
+                slot: variantSizes[variant]++,
+                position: [Math.cos(angle) * radius, 0.02, Math.sin(angle) * radius],
+                yaw: -angle + Math.PI / 2,
+                // Per-ring tilt — inner petals more upright, outer droop outward
+                tilt: -(Math.PI / 2) + genes.tilt - ring * genes.tiltStep + (seed - 0.5) * 0.14,
+                twist: (seed - 0.5) * 0.08,
+                length: genes.length + ring * genes.lengthStep + (seed - 0.5) * 0.08,
+                width: genes.width * (0.85 + seed * 0.3),
+                // Sway phase — outer rings ripple faster around the head
+                timeOffset: ring + index * (0.2 - ring * 0.05),
+            });
+        }
+        // Petal index behind each instance of each variant's mesh
+        const variants = variantSeeds.map((seed, variant) => ({
+            seed,
+            indices: petals.flatMap((petal, index) => (petal.variant === variant ? [index] : [])),
+        }));
+        return { petals, variants, reach: radius + (genes.length + ring * genes.lengthStep) * 1.6 };
+    });
+}
 
-    const petalLength = 0.78 + ring * 0.24 + (randomSeed - 0.5) * 0.08;
+// Scratch object for composing instance matrices
+const dummy = new THREE.Object3D();
 
-    // Per-ring tilt — inner petals more upright, outer droop outward
-    const baseTilt = -(Math.PI / 2) + 0.55 - ring * 0.24;
+/* ================================================================
+   Petals — one InstancedMesh per ring; sway, night closure, growth,
+   gestures and the heartbeat pulse are all computed in a single
+   frame callback
+   ================================================================ */
+function Petals({ genome, heartbeatScale, closureRef, poseRef, reactionsRef, petalHandlers, petalTexture }) {
+    const meshRefs = useRef([]);
+    const frameCountRef = useRef(0);
+    const layout = useMemo(() => createPetalLayout(genome), [genome]);
+
+    // A few curved geometries per ring — curl, twist and ripple differ
+    // between variants, width per instance
+    const geometries = useMemo(
+        () => layout.map(({ variants }, ring) => variants.map(
+            ({ seed }) => createCurvedPetalGeometry(createPetalShape(), ring, seed, genome.petal)
+        )),
+        [layout, genome]
+    );
 
-    // Natural per-petal variation
-    const randomDroop = useMemo(() => (randomSeed - 0.5) * 0.14, [randomSeed]);
-    const randomTwist = useMemo(() => (randomSeed - 0.5) * 0.08, [randomSeed]);
+    // Material — MeshPhysicalMaterial for subsurface scattering on desktop
+    const material = useMemo(() => {
+        if (isMobile) {
+            return new THREE.MeshStandardMaterial({
+                map: petalTexture,
+                roughness: 0.5,
+                metalness: 0.0,
+                side: THREE.DoubleSide,
+                emissive: '#FFB300',
+                emissiveIntensity: 0.06,
+                transparent: true,
+                alphaTest: 0.1,
+            });
+        }
 
-    // Frame counter for throttling on mobile
-    const frameCountRef = useRef(0);
+        return new THREE.MeshPhysicalMaterial({
+            map: petalTexture,
+            roughness: 0.42,
+            metalness: 0.0,
+            side: THREE.DoubleSide,
+            transparent: true,
+            alphaTest: 0.1,
+            // Subsurface scattering effect
+            transmission: 0.15,
+            thickness: 0.8,
+            attenuationColor: '#FF8C00',
+            attenuationDistance: 0.5,
+            // Sheen for velvety petal surface
+            sheen: 0.4,
+            sheenRoughness: 0.5,
+            sheenColor: '#FFD700',
+            // Clearcoat for slight gloss like real petals
+            clearcoat: 0.08,
+            clearcoatRoughness: 0.6,
+            emissive: '#FFB300',
+            emissiveIntensity: 0.03,
+        });
+    }, [petalTexture]);
+
+    useEffect(() => () => {
+        geometries.flat().forEach((g) => g.dispose());
+        material.dispose();
+    }, [geometries, material]);
+
+    // Raycast bounds — fixed, generous enough for a full-grown petal at the
+    // peak of a heartbeat, instead of recomputed as the petals move
+    useLayoutEffect(() => {
+        layout.forEach(({ reach }, ring) => {
+            meshRefs.current[ring]?.forEach((mesh) => {
+                if (mesh) mesh.boundingSphere = new THREE.Sphere(new THREE.Vector3(), reach);
+            });
+        });
+    }, [layout, geometries]);
 
     useFrame((state) => {
-        if (!meshRef.current) return;
-
+        // Throttle on mobile — the first frame always runs so petals start in place
         if (isMobile) {
-            frameCountRef.current++;
             const skipFrames = isLowEnd ? 3 : 2;
-            if (frameCountRef.current % skipFrames !== 0) return;
+            if (frameCountRef.current++ % skipFrames !== 0) return;
         }
 
-        const t = state.clock.elapsedTime + timeOffset;
-
-        // Organic wind sway
-        const windStrength = 0.014 + ring * 0.007;
-        const swayX = Math.sin(t * 0.55 + index * 0.45) * windStrength;
-        const swayZ = Math.cos(t * 0.4 + index * 0.35) * windStrength * 0.6;
+        const elapsed = state.clock.elapsedTime;
+        const now = performance.now();
+        const { flutters, plucks } = reactionsRef.current;
+        const pose = poseRef.current;
+        const pulse = (heartbeatScale?.current || 1) * pose.petalScale;
+        // Folded up at night or while still a bud; wilting outward once heavy with seed
+        const closure = (closureRef?.current || 0);
+        const fold = (Math.max(closure, pose.petalFold) + Math.min(pose.petalFold, 0)) * PETAL_NIGHT_CLOSE;
+
+        layout.forEach(({ petals }, ring) => {
+            const meshes = meshRefs.current[ring];
+            if (!meshes) return;
+
+            // Organic wind sway — outer rings move more
+            const windStrength = 0.014 + ring * 0.007;
+            // Petals fold up toward the disc — outer rings fold further
+            const ringClosure = fold * (1 + ring * 0.3);
+
+            petals.forEach((petal, index) => {
+                const t = elapsed + petal.timeOffset;
+                const swayX = Math.sin(t * 0.55 + index * 0.45) * windStrength;
+                const swayZ = Math.cos(t * 0.4 + index * 0.35) * windStrength * 0.6;
+                const key = petalKey(ring, index);
+                let size = petal.length * pulse;
+                let tilt = petal.tilt + swayX + ringClosure;
+                let twist = petal.twist + swayZ;
+                dummy.position.set(...petal.position);
+
+                // Tapped: a quick, fading shiver
+                const flutterStart = flutters.get(key);
+                if (flutterStart !== undefined) {
+                    const age = now - flutterStart;
+                    if (age > FLUTTER_MS) flutters.delete(key);
+                    else tilt += Math.sin(age * 0.028) * 0.3 * (1 - age / FLUTTER_MS);
+                }
 
-        meshRef.current.rotation.x = baseTilt + randomDroop + swayX;
-        meshRef.current.rotation.z = randomTwist + swayZ;
+                // Plucked: tumbles away, stays gone a while, then grows back
+                const pluckStart = plucks.get(key);
+                if (pluckStart !== undefined) {
+                    const age = now - pluckStart;
+                    if (age < PETAL_FALL_MS) {
+                        const s = age / 1000;
+                        dummy.position.x += petal.position[0] * s * 0.8;
+                        dummy.position.y -= 0.8 * s * s;
+                        dummy.position.z += petal.position[2] * s * 0.8;
+                        tilt += s * 2.2;
+                        twist += Math.sin(s * 3 + index) * 0.8;
+                    } else if (age < PETAL_REGROW_AFTER_MS) {
+                        size = 0;
+                    } else if (age < PETAL_REGROW_AFTER_MS + PETAL_REGROW_MS) {
+                        size *= (age - PETAL_REGROW_AFTER_MS) / PETAL_REGROW_MS;
+                    } else {
+                        plucks.delete(key);
+                    }
+                }
 
-        if (heartbeatScale) {
-            const s = heartbeatScale.current || 1;
-            meshRef.current.scale.setScalar(s * petalLength);
-        }
+                dummy.rotation.set(tilt, petal.yaw, twist);
+                // Depth scales with length like the rest of the petal
+                dummy.scale.set(size * petal.width, size, size);
+                dummy.updateMatrix();
+                meshes[petal.variant]?.setMatrixAt(petal.slot, dummy.matrix);
+            });
+            meshes.forEach((mesh) => {
+                if (mesh) mesh.instanceMatrix.needsUpdate = true;
+            });
+        });
     });
 
-    // Material — MeshPhysicalMaterial for subsurface scattering
-    const material = useMemo(() => {
-        if (isMobile) {
-            return (
-                <meshStandardMaterial
-                    map={petalTexture}
-                    roughness={0.5}
-                    metalness={0.0}
-                    side={THREE.DoubleSide}
-                    emissive="#FFB300"
-                    emissiveIntensity={0.06}
-                    transparent
-                    alphaTest={0.1}
-                />
-            );
-        }
-
-        // Desktop: MeshPhysicalMaterial with SSS
-        if (!petalTexture) return null;
-        const t = petalTexture.clone();
-        t.needsUpdate = true;
-        // Slight per-petal texture rotation for variety
-        t.rotation = (randomSeed - 0.5) * 0.25;
-        t.center.set(0.5, 0.5);
-
-        return (
-            <meshPhysicalMaterial
-                map={t}
-                roughness={0.42}
-                metalness={0.0}
-                side={THREE.DoubleSide}
-                transparent
-                alphaTest={0.1}
-                // Subsurface scattering effect
-                transmission={0.15}
-                thickness={0.8}
-                attenuationColor="#FF8C00"
-                attenuationDistance={0.5}
-                // Sheen for velvety petal surface
-                sheen={0.4}
-                sheenRoughness={0.5}
-                sheenColor="#FFD700"
-                // Clearcoat for slight gloss like real petals
-                clearcoat={0.08}
-                clearcoatRoughness={0.6}
-                emissive="#FFB300"
-                emissiveIntensity={0.03}
-            />
-        );
-    }, [petalTexture, randomSeed]);
-
-    return (
-        <mesh
-            ref={meshRef}
-            geometry={geometry}
-            position={[
-                Math.cos(angle) * ringRadius,
-                0.02,
-                Math.sin(angle) * ringRadius,
-            ]}
-            rotation={[baseTilt + randomDroop, -angle + Math.PI / 2, randomTwist]}
-            scale={[petalLength, petalLength, 1]}
-        >
-            {material}
-        </mesh>
-    );
+    return layout.map(({ variants }, ring) => variants.map(({ indices }, variant) => (
+        <instancedMesh
+            key={`${ring}-${variant}`}
+            ref={(el) => {
+                meshRefs.current[ring] ??= [];
+                meshRefs.current[ring][variant] = el;
+            }}
+            args={[geometries[ring][variant], material, indices.length]}
+            frustumCulled={false}
+            {...petalHandlers?.(ring, indices)}
+        />
+    )));
 }
 
 /* ================================================================
-   Sepal (bract) — green leaf-like structures behind the petals
+   Sepals (bracts) — green leaf-like structures behind the petals,
+   static, so their matrices are written once
    ================================================================ */
-function Sepal({ index, total }) {
-    const angle = (index / total) * Math.PI * 2;
-    const sepalShape = useMemo(() => createSepalShape(), []);
+function Sepals({ count, genome }) {
+    const meshRef = useRef();
+
     const geometry = useMemo(() => {
         const extrudeSettings = isMobile
             ? { depth: 0.006, bevelEnabled: false, curveSegments: 3 }
             : { depth: 0.006, bevelEnabled: true, bevelThickness: 0.002, bevelSize: 0.003, bevelSegments: 1, curveSegments: 6 };
 
-        const geom = new THREE.ExtrudeGeometry(sepalShape, extrudeSettings);
+        const geom = new THREE.ExtrudeGeometry(createSepalShape(), extrudeSettings);
 
         // Curl sepals outward and slightly downward
         const posAttr = geom.attributes.position;
@@ -230,81 +330,167 @@ function Sepal({ index, total }) {
         posAttr.needsUpdate = true;
         geom.computeVertexNormals();
         return geom;
-    }, [sepalShape]);
+    }, []);
 
-    const sepalLength = 0.45 + (index % 3) * 0.05;
-    const tilt = -(Math.PI / 2) + 0.85; // more tilted outward than petals
-    const randomDroop = useMemo(() => (Math.sin(index * 173.3) * 0.5 + 0.5 - 0.5) * 0.1, [index]);
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    useLayoutEffect(() => {
+        const mesh = meshRef.current;
+        if (!mesh) return;
+
+        const genes = genome.sepal;
+        const random = genomeRandom(genome, 'sepals');
+        const tilt = -(Math.PI / 2) + genes.tilt; // more tilted outward than petals
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const sepalLength = genes.length + (i % 3) * 0.05;
+            const randomDroop = (random() - 0.5) * 0.1;
+
+            dummy.position.set(Math.cos(angle) * 0.36, -0.04, Math.sin(angle) * 0.36);
+            dummy.rotation.set(tilt + randomDroop, -angle + Math.PI / 2, 0);
+            dummy.scale.set(sepalLength, sepalLength, 1);
+            dummy.updateMatrix();
+            mesh.setMatrixAt(i, dummy.matrix);
+        }
+        mesh.instanceMatrix.needsUpdate = true;
+    }, [count, genome]);
 
     return (
-        <mesh
-            geometry={geometry}
-            position={[
-                Math.cos(angle) * 0.36,
-                -0.04,
-                Math.sin(angle) * 0.36,
-            ]}
-            rotation={[tilt + randomDroop, -angle + Math.PI / 2, 0]}
-            scale={[sepalLength, sepalLength, 1]}
-        >
+        <instancedMesh ref={meshRef} args={[geometry, undefined, count]} frustumCulled={false}>
             <meshStandardMaterial
                 color="#4A7A2E"
                 roughness={0.6}
                 metalness={0.02}
                 side={THREE.DoubleSide}
             />
-        </mesh>
+        </instancedMesh>
     );
 }
 
 /* ================================================================
-   Center disc — realistic seed head
+   Center disc — phyllotactic seed head: florets on Vogel's spiral
+   (floret n at angle n·GOLDEN_ANGLE, radius ∝ √n), one InstancedMesh
    ================================================================ */
-function CenterDisc({ discTexture }) {
-    const meshRef = useRef();
+const FLORET_LOD = isLowEnd
+    ? { count: 300, geometry: () => new THREE.OctahedronGeometry(1, 0) }
+    : isMobile
+        ? { count: 650, geometry: () => new THREE.IcosahedronGeometry(1, 0) }
+        : { count: 1500, geometry: () => new THREE.IcosahedronGeometry(1, 1) };
+
+const DISC_BASE_Y = 0.04;
+const DISC_DOME_HEIGHT = 0.09;
+
+// From the open florets at the rim to the closed buds at the centre
+const FLORET_COLORS = [
+    { at: 0, color: new THREE.Color('#5E6E22') }, // closed green buds
+    { at: 0.3, color: new THREE.Color('#4A4216') },
+    { at: 0.55, color: new THREE.Color('#3A220E') }, // dark ripening florets
+    { at: 0.85, color: new THREE.Color('#6B3C12') },
+    { at: 1, color: new THREE.Color('#D9A21E') }, // open florets dusted with pollen
+];
+
+function floretColor(t, target) {
+    const i = Math.max(1, FLORET_COLORS.findIndex((stop) => stop.at >= t));
+    const lo = FLORET_COLORS[i - 1];
+    const hi = FLORET_COLORS[i];
+    return target.copy(lo.color).lerp(hi.color, (t - lo.at) / (hi.at - lo.at));
+}
+
+/** Height of the domed seed head at distance r from its centre */
+function discHeight(r, radius) {
+    return DISC_BASE_Y + DISC_DOME_HEIGHT * (1 - (r / radius) ** 2);
+}
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+function CenterDisc({ genome, poseRef, reactionsRef, discHandlers }) {
+    const groupRef = useRef();
+    const floretsRef = useRef();
+    const floretMaterialRef = useRef();
     const frameCountRef = useRef(0);
 
-    useFrame((state) => {
-        if (!meshRef.current) return;
+    // Fits just inside the innermost petal ring
+    const radius = genome.petal.radius * 0.92;
+    const { count } = FLORET_LOD;
+
+    const geometry = useMemo(() => FLORET_LOD.geometry(), []);
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    useLayoutEffect(() => {
+        const mesh = floretsRef.current;
+        if (!mesh) return;
+
+        const random = genomeRandom(genome, 'florets');
+        const spacing = radius * Math.sqrt(Math.PI / count);
+        const normal = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        for (let n = 0; n < count; n++) {
+            const r = radius * Math.sqrt((n + 0.5) / count);
+            const theta = n * GOLDEN_ANGLE;
+            const t = r / radius;
+
+            // Sit on the dome, standing along its surface normal
+            const slope = (2 * DISC_DOME_HEIGHT * r) / (radius * radius);
+            normal.set(-slope * Math.cos(theta), 1, -slope * Math.sin(theta)).normalize();
+            dummy.position.set(Math.cos(theta) * r, discHeight(r, radius), Math.sin(theta) * r);
+            dummy.quaternion.setFromUnitVectors(UP, normal);
+
+            // Closed buds sit low and round; open florets stand taller
+            const size = spacing * (0.5 + random() * 0.1);
+            dummy.scale.set(size, size * (1 + t * 0.8), size);
+            dummy.updateMatrix();
+            mesh.setMatrixAt(n, dummy.matrix);
+
+            floretColor(t, color).offsetHSL(0, 0, (random() - 0.5) * 0.05);
+            mesh.setColorAt(n, color);
+        }
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+    }, [genome, radius, count]);
+
+    useFrame((state, delta) => {
+        if (!groupRef.current) return;
+
+        // Stroked: glows warm, fading over a couple of seconds
+        const reactions = reactionsRef.current;
+        reactions.glow *= Math.exp(-delta * 0.8);
+        if (floretMaterialRef.current) {
+            floretMaterialRef.current.emissiveIntensity = reactions.glow * 1.2;
+        }
+
         if (isMobile) {
             frameCountRef.current++;
             if (frameCountRef.current % 2 !== 0) return;
         }
-        meshRef.current.rotation.y = state.clock.elapsedTime * 0.012;
+        groupRef.current.rotation.y = state.clock.elapsedTime * 0.012;
+        // Swells as the seeds fill out
+        groupRef.current.scale.setScalar(poseRef.current.disc);
     });
 
-    const segments = isMobile ? 24 : 40;
-
     return (
-        <group ref={meshRef}>
-            {/* Main disc body */}
-            <mesh position={[0, 0.05, 0]} rotation={[-Math.PI / 2, 0, 0]}>
-                <cylinderGeometry args={[0.28, 0.32, 0.07, segments]} />
-                <meshStandardMaterial
-                    map={discTexture}
-                    roughness={0.92}
-                    metalness={0.02}
-                    bumpMap={isMobile ? null : discTexture}
-                    bumpScale={0.06}
-                />
+        <group ref={groupRef} {...discHandlers}>
+            {/* Dark receptacle under the florets, so the gaps read as depth */}
+            <mesh position={[0, DISC_BASE_Y - 0.01, 0]} scale={[1, DISC_DOME_HEIGHT / radius, 1]}>
+                <sphereGeometry args={[radius, isMobile ? 20 : 32, isMobile ? 8 : 12, 0, Math.PI * 2, 0, Math.PI / 2]} />
+                <meshStandardMaterial color="#24150A" roughness={0.95} metalness={0.02} />
             </mesh>
 
-            {/* Raised center dome — flattened sphere for puffy seed look */}
-            <mesh position={[0, 0.10, 0]} scale={[1, 0.6, 1]}>
-                <sphereGeometry args={isMobile ? [0.22, 20, 12, 0, Math.PI * 2, 0, Math.PI / 2.2] : [0.22, 32, 20, 0, Math.PI * 2, 0, Math.PI / 2.2]} />
+            {/* Florets */}
+            <instancedMesh ref={floretsRef} args={[geometry, undefined, count]} frustumCulled={false}>
                 <meshStandardMaterial
-                    map={discTexture}
-                    roughness={0.94}
-                    metalness={0.03}
-                    bumpMap={isMobile ? null : discTexture}
-                    bumpScale={0.07}
+                    ref={floretMaterialRef}
+                    roughness={0.85}
+                    metalness={0.02}
+                    emissive="#FFB300"
+                    emissiveIntensity={0}
                 />
-            </mesh>
+            </instancedMesh>
 
             {/* Emissive floret ring — where disc meets petals */}
             {!isMobile && (
-                <mesh position={[0, 0.06, 0]} rotation={[-Math.PI / 2, 0, 0]}>
-                    <torusGeometry args={[0.31, 0.012, 8, segments]} />
+                <mesh position={[0, DISC_BASE_Y + 0.01, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+                    <torusGeometry args={[radius, 0.012, 8, 40]} />
                     <meshStandardMaterial
                         color="#6B8E23"
                         roughness={0.7}
@@ -320,21 +506,24 @@ function CenterDisc({ discTexture }) {
 /* ================================================================
    Stem — organic tube with trichome hairs
    ================================================================ */
-function Stem() {
+function Stem({ genome, poseRef }) {
+    const { points: stemPoints, baseRadius, tipRadius } = genome.stem;
+    const groupRef = useRef();
+
+    // Thickens as the plant matures
+    useFrame(() => {
+        if (!groupRef.current) return;
+        const girth = poseRef.current.stemGirth;
+        groupRef.current.scale.set(girth, 1, girth);
+    });
+
     const curve = useMemo(() => {
-        return new THREE.CatmullRomCurve3([
-            new THREE.Vector3(0, -3.5, 0),
-            new THREE.Vector3(0.05, -2.8, 0.04),
-            new THREE.Vector3(-0.03, -2.0, -0.02),
-            new THREE.Vector3(0.04, -1.2, 0.015),
-            new THREE.Vector3(-0.015, -0.5, -0.01),
-            new THREE.Vector3(0, 0, 0),
-        ]);
-    }, []);
+        return new THREE.CatmullRomCurve3(stemPoints.map((p) => new THREE.Vector3(...p)));
+    }, [stemPoints]);
 
     const geometry = useMemo(() => {
         if (isMobile) {
-            return new THREE.TubeGeometry(curve, 14, 0.048, 6, false);
+            return new THREE.TubeGeometry(curve, 14, (baseRadius + tipRadius) / 2, 6, false);
         }
 
         try {
@@ -352,7 +541,7 @@ function Stem() {
             for (let i = 0; i <= tubeSegments; i++) {
                 const t = i / tubeSegments;
                 // Taper: thicker at base, thinner at top
-                const radius = 0.058 - t * 0.022;
+                const radius = baseRadius - t * (baseRadius - tipRadius);
                 // Slight irregular cross section
                 const N = frames.normals[i];
                 const B = frames.binormals[i];
@@ -404,13 +593,14 @@ function Stem() {
             return geom;
         } catch (e) {
             console.warn('[Sunflower] Tapered stem failed, falling back:', e);
-            return new THREE.TubeGeometry(curve, 14, 0.048, 6, false);
+            return new THREE.TubeGeometry(curve, 14, (baseRadius + tipRadius) / 2, 6, false);
         }
-    }, [curve]);
+    }, [curve, baseRadius, tipRadius]);
 
     // Trichome hairs along the stem (desktop only)
     const hairs = useMemo(() => {
         if (isMobile) return [];
+        const random = genomeRandom(genome, 'stem-hairs');
         const hairData = [];
         const numHairs = 60;
         for (let i = 0; i < numHairs; i++) {
@@ -418,14 +608,14 @@ function Stem() {
             const p = curve.getPoint(t);
             const tangent = curve.getTangent(t);
             const hairAngle = (i * GOLDEN_ANGLE * 3) % (Math.PI * 2);
-            const hairLen = 0.015 + Math.random() * 0.012;
+            const hairLen = 0.015 + random() * 0.012;
             hairData.push({ position: [p.x, p.y, p.z], angle: hairAngle, length: hairLen, tangent });
         }
         return hairData;
-    }, [curve]);
+    }, [curve, genome]);
 
     return (
-        <group>
+        <group ref={groupRef}>
             <mesh geometry={geometry}>
                 <meshStandardMaterial
                     color="#2D5A1E"
@@ -454,7 +644,7 @@ function Stem() {
 /* ================================================================
    Leaf — serrated edges, veins, texture-mapped
    ================================================================ */
-function Leaf({ side, yPos, leafTexture }) {
+function Leaf({ index, side, yPos, leafTexture, poseRef }) {
     const leafShape = useMemo(() => {
         const shape = new THREE.Shape();
         shape.moveTo(0, 0);
@@ -522,6 +712,7 @@ function Leaf({ side, yPos, leafTexture }) {
         return geom;
     }, [leafShape]);
 
+    const groupRef = useRef();
     const meshRef = useRef();
     const frameCountRef = useRef(0);
 
@@ -533,6 +724,11 @@ function Leaf({ side, yPos, leafTexture }) {
         }
         const t = state.clock.elapsedTime;
         meshRef.current.rotation.z = side * 0.3 + Math.sin(t * 0.35 + yPos) * 0.05;
+
+        // Leaves unfurl one after another as the plant grows
+        const unfurl = Math.min(Math.max(poseRef.current.leaves - index, 0), 1);
+        groupRef.current.visible = unfurl > 0;
+        groupRef.current.scale.setScalar(unfurl);
     });
 
     const leafMaterial = useMemo(() => {
@@ -559,7 +755,7 @@ function Leaf({ side, yPos, leafTexture }) {
     }, [leafTexture]);
 
     return (
-        <group position={[side * 0.08, yPos, 0]} rotation={[0, 0, side * 0.8]}>
+        <group ref={groupRef} position={[side * 0.08, yPos, 0]} rotation={[0, 0, side * 0.8]}>
             <mesh ref={meshRef} geometry={geometry} scale={[0.65, 0.65, 1]}>
                 {leafMaterial}
             </mesh>
@@ -602,16 +798,51 @@ function Leaf({ side, yPos, leafTexture }) {
 }
 
 /* ================================================================
-   Main Sunflower component
+   Main Sunflower component — shaped by `genome` (see lib/genome.js)
    ================================================================ */
-export default function Sunflower({ heartbeatScale }) {
+export default function Sunflower({
+    heartbeatScale,
+    headRef,
+    nightFactor = 0,
+    genome = CLASSIC_GENOME,
+    growth = BLOOM_PROGRESS,
+    interactive = false,
+}) {
+    // Reacts to both partners' gestures; takes touches only when `interactive`
+    const { reactionsRef, petalHandlers, discHandlers } = useFlowerGestures({ interactive });
+    // Smoothed night closure (0 open → 1 closed) shared with every petal
+    const closureRef = useRef(nightFactor);
+    // Smoothed growth progress, and the pose it gives each part (see lib/growth.js)
+    const growthRef = useRef(growth);
+    const poseRef = useRef(null);
+    if (poseRef.current === null) poseRef.current = getGrowthPose(growth);
+    const plantRef = useRef();
+    const droopRef = useRef();
+
+    useFrame((_, delta) => {
+        // Slow, plant-like response — a full close takes about a minute of real dusk anyway
+        closureRef.current += (nightFactor - closureRef.current) * Math.min(1, delta * 0.5);
+        // Growing into a new stage takes a few seconds rather than snapping
+        growthRef.current += (growth - growthRef.current) * Math.min(1, delta * 0.4);
+        const pose = getGrowthPose(growthRef.current);
+        poseRef.current = pose;
+
+        if (plantRef.current) {
+            plantRef.current.scale.setScalar(pose.plant);
+        }
+        if (droopRef.current) {
+            // Bows at night, and for good once the head is heavy with seed
+            droopRef.current.rotation.x = closureRef.current * HEAD_NIGHT_DROOP + pose.seedDroop;
+            droopRef.current.scale.setScalar(pose.head);
+        }
+    });
+
     // Load textures
     const textures = useTexture(
-        isMobile ? ['/petal.png', '/disc.png'] : ['/petal.png', '/disc.png', '/leaf.png']
+        isMobile ? ['/petal.png'] : ['/petal.png', '/leaf.png']
     );
     const petalTexture = textures[0];
-    const discTexture = textures[1];
-    const leafTexture = textures[2] || null;
+    const leafTexture = textures[1] || null;
 
     // Configure textures
     useMemo(() => {
@@ -629,15 +860,6 @@ export default function Sunflower({ heartbeatScale }) {
             petalTexture.magFilter = THREE.LinearFilter;
         }
 
-        discTexture.wrapS = THREE.RepeatWrapping;
-        discTexture.wrapT = THREE.RepeatWrapping;
-        discTexture.colorSpace = THREE.SRGBColorSpace;
-
-        if (isMobile) {
-            discTexture.generateMipmaps = false;
-            discTexture.minFilter = THREE.LinearFilter;
-        }
-
         if (leafTexture) {
             leafTexture.wrapS = THREE.ClampToEdgeWrapping;
             leafTexture.wrapT = THREE.ClampToEdgeWrapping;
@@ -645,77 +867,56 @@ export default function Sunflower({ heartbeatScale }) {
             leafTexture.generateMipmaps = true;
             leafTexture.minFilter = THREE.LinearMipmapLinearFilter;
         }
-    }, [petalTexture, discTexture, leafTexture]);
-
-    // Petal rings with Fibonacci golden-angle offsets between rings
-    const petalRings = useMemo(() => {
-        const rings = [];
+    }, [petalTexture, leafTexture]);
 
-        if (isLowEnd) {
-            for (let i = 0; i < 11; i++) {
-                rings.push({ index: i, total: 11, ring: 0, ringRadius: 0.33, timeOffset: i * 0.2, goldenOffset: 0 });
-            }
-            for (let i = 0; i < 18; i++) {
-                rings.push({ index: i, total: 18, ring: 1, ringRadius: 0.42, timeOffset: i * 0.12 + 1, goldenOffset: GOLDEN_ANGLE * 0.5 });
-            }
-        } else if (isMobile) {
-            for (let i = 0; i < 13; i++) {
-                rings.push({ index: i, total: 13, ring: 0, ringRadius: 0.33, timeOffset: i * 0.2, goldenOffset: 0 });
-            }
-            for (let i = 0; i < 21; i++) {
-                rings.push({ index: i, total: 21, ring: 1, ringRadius: 0.42, timeOffset: i * 0.1 + 1, goldenOffset: GOLDEN_ANGLE * 0.5 });
-            }
-        } else {
-            // Desktop: full 3 rings with golden angle offsets
-            for (let i = 0; i < 13; i++) {
-                rings.push({ index: i, total: 13, ring: 0, ringRadius: 0.33, timeOffset: i * 0.2, goldenOffset: 0 });
-            }
-            for (let i = 0; i < 21; i++) {
-                rings.push({ index: i, total: 21, ring: 1, ringRadius: 0.41, timeOffset: i * 0.15 + 1, goldenOffset: GOLDEN_ANGLE * 0.5 });
-            }
-            for (let i = 0; i < 34; i++) {
-                rings.push({ index: i, total: 34, ring: 2, ringRadius: 0.50, timeOffset: i * 0.1 + 2, goldenOffset: GOLDEN_ANGLE });
-            }
-        }
-
-        return rings;
-    }, []);
-
-    // Sepals
+    // Sepals and leaves drawn — fewer on weaker devices
     const sepalCount = isMobile ? (isLowEnd ? 8 : 12) : 18;
+    const leafCount = isLowEnd ? 2 : isMobile ? 3 : 4;
 
     return (
-        <group>
-            {/* Flower head */}
-            <group position={[0, 0.5, 0]}>
-                {/* Sepals (bracts) behind petals */}
-                {Array.from({ length: sepalCount }).map((_, i) => (
-                    <Sepal key={`sepal-${i}`} index={i} total={sepalCount} />
-                ))}
-
-                {/* Petals */}
-                {petalRings.map((petal, i) => (
-                    <Petal
-                        key={i}
-                        {...petal}
+        <group ref={plantRef}>
+            {/* Flower head — turned by `headRef` (heliotropism),
+                and bowing forward as it closes for the night */}
+            <group ref={headRef} position={[0, 0.5, 0]}>
+                <group ref={droopRef}>
+                    {/* Sepals (bracts) behind petals */}
+                    <Sepals count={sepalCount} genome={genome} />
+
+                    {/* Petals */}
+                    <Petals
+                        genome={genome}
                         heartbeatScale={heartbeatScale}
+                        closureRef={closureRef}
+                        poseRef={poseRef}
+                        reactionsRef={reactionsRef}
+                        petalHandlers={petalHandlers}
                         petalTexture={petalTexture}
                     />
-                ))}
 
-                {/* Center disc */}
-                <CenterDisc discTexture={discTexture} />
+                    {/* Center disc */}
+                    <CenterDisc
+                        genome={genome}
+                        poseRef={poseRef}
+                        reactionsRef={reactionsRef}
+                        discHandlers={discHandlers}
+                    />
+                </group>
             </group>
 
             {/* Stem */}
-            <Stem />
-
-            {/* Leaves — with texture on desktop */}
-            <Leaf side={1} yPos={-1.2} leafTexture={leafTexture} />
-            <Leaf side={-1} yPos={-2.0} leafTexture={leafTexture} />
-            {!isLowEnd && <Leaf side={1} yPos={-2.8} leafTexture={leafTexture} />}
-            {/* Extra leaf for fullness — desktop only */}
-            {!isMobile && <Leaf side={-1} yPos={-0.6} leafTexture={leafTexture} />}
+            <Stem genome={genome} poseRef={poseRef} />
+
+            {/* Leaves — with texture on desktop; extra leaves for fullness on bigger devices */}
+            {genome.leaves.slice(0, leafCount).map((leaf, i) => (
+                <Leaf
+                    key={i}
+                    index={i}
+                    side={leaf.side}
+                    yPos={leaf.y}
+                    leafTexture={leafTexture}
+                    poseRef={poseRef}
+                />
+            ))}
         </group>
     );
 }
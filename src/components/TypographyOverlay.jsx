@@ -1,32 +1,123 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import PairingPanel from './PairingPanel';
+import SettingsPanel from './SettingsPanel';
+import SignalsPanel from './SignalsPanel';
+import DevPanel from './DevPanel';
+import JourneyPanel from './JourneyPanel';
+import { buttonStyle, activeButtonStyle } from './panelStyles';
+import { formatInviteCode } from '../lib/pairing';
+import { usePairing } from '../hooks/usePairing';
+import { useNow } from '../hooks/useNow';
+import { useJourney } from '../hooks/useJourney';
+import { useAr } from '../hooks/useAr';
+import { formatTimeAgo } from '../lib/timeAgo';
+import { subscribeGestures } from '../lib/gestures';
+import { subscribeSignals } from '../lib/signals';
+import { isDevMode } from '../lib/simulation';
+import { startAr, stopAr } from '../lib/ar';
+
+const STATUS_COLORS = {
+    present: 'rgba(180, 255, 180, 0.6)',
+    waiting: 'rgba(255, 220, 150, 0.5)',
+    away: 'rgba(255, 200, 150, 0.5)',
+};
+
+/**
+ * Status line under the distance: the pairing, the channel, then her
+ * presence — or when and where she was last seen
+ */
+function getStatus({ isPaired, connection, hasPartner, partnerHidden, lastSeen }) {
+    if (!isPaired) return { text: '○ not paired', color: STATUS_COLORS.away };
+    if (connection === 'offline') return { text: '○ offline · dreaming', color: STATUS_COLORS.away };
+    if (connection === 'connecting') return { text: '○ connecting…', color: STATUS_COLORS.waiting };
+    if (!hasPartner) {
+        if (connection === 'degraded') return { text: '◐ reconnecting…', color: STATUS_COLORS.waiting };
+        if (lastSeen) return { text: `○ last seen ${lastSeen}`, color: STATUS_COLORS.waiting };
+        return { text: '○ waiting for her', color: STATUS_COLORS.waiting };
+    }
+    const detail = connection === 'degraded' ? ' · catching up' : partnerHidden ? ' · location hidden' : '';
+    return {
+        text: `${connection === 'degraded' ? '◐' : '●'} connected${detail}`,
+        color: STATUS_COLORS.present,
+    };
+}
+
+/** What to do in AR, or why it didn't start */
+function getArHint({ mode, placed, error }, hasPartner) {
+    if (error) return error;
+    if (mode === 'webxr' && !placed) return 'find a surface, then tap to plant';
+    if (mode) return hasPartner ? 'the flower faces her' : 'the flower waits for her';
+    return null;
+}
 
 /**
- * UI overlay — shows title, distance, and connection status.
+ * UI overlay — shows title, distance, connection status, the signals she
+ * sends, and the pairing / signals / journey / settings panels (plus the dev
+ * simulation panel with `?dev`), and the way into AR where the device has one.
+ * During a WebXR session it stays on screen as the DOM overlay.
  * On first load, text appears automatically then fades.
  * On subsequent touches, it reappears briefly.
+ * While a panel is open the overlay stays up.
  */
-export default function TypographyOverlay({ distance, isConnected, hasPartner }) {
+export default function TypographyOverlay({
+    distance,
+    distanceAccuracy,
+    connection,
+    hasPartner,
+    isPaired,
+    partnerHidden,
+    partnerSeenAt,
+}) {
+    const pairing = usePairing();
+    const now = useNow();
+    // Subscribed for as long as the overlay is up, which keeps the log recording
+    const journey = useJourney();
+    const ar = useAr();
+    const rootRef = useRef(null);
     const [visible, setVisible] = useState(true);
+    const [openPanel, setOpenPanel] = useState(null);
+    // Last plucked petal or signal from her — text kept while it fades out
+    const [moment, setMoment] = useState({ text: '', shown: false });
     const timerRef = useRef(null);
     const firstLoadRef = useRef(true);
+    const panelOpenRef = useRef(false);
 
-    const handleInteraction = () => {
-        setVisible(true);
+    const scheduleHide = useCallback((ms) => {
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => {
+            if (!panelOpenRef.current) setVisible(false);
+        }, ms);
+    }, []);
 
-        // Request orientation permission on first touch (iOS)
-        if (window.__requestOrientationPermission) {
-            window.__requestOrientationPermission();
-            window.__requestOrientationPermission = null;
+    // Only one panel at a time; tapping its pill again closes it
+    const togglePanel = (name) => {
+        const next = openPanel === name ? null : name;
+        setOpenPanel(next);
+        panelOpenRef.current = next != null;
+        if (next) {
+            setVisible(true);
+            clearTimeout(timerRef.current);
+        } else {
+            scheduleHide(3000);
         }
-
-        clearTimeout(timerRef.current);
-        timerRef.current = setTimeout(() => setVisible(false), 3000);
     };
 
     useEffect(() => {
+        const handleInteraction = () => {
+            setVisible(true);
+
+            // Request orientation permission on first touch (iOS)
+            if (window.__requestOrientationPermission) {
+                window.__requestOrientationPermission();
+                window.__requestOrientationPermission = null;
+            }
+
+            scheduleHide(3000);
+        };
+
         if (firstLoadRef.current) {
             firstLoadRef.current = false;
-            timerRef.current = setTimeout(() => setVisible(false), 4000);
+            scheduleHide(4000);
         }
 
         window.addEventListener('pointerdown', handleInteraction);
@@ -34,22 +125,58 @@ export default function TypographyOverlay({ distance, isConnected, hasPartner })
             window.removeEventListener('pointerdown', handleInteraction);
             clearTimeout(timerRef.current);
         };
-    }, []);
+    }, [scheduleHide]);
+
+    // Each plucked petal, ours or hers, has its say — and so does every signal she sends
+    useEffect(() => {
+        let timer;
+        const show = (text) => {
+            setMoment({ text, shown: true });
+            setVisible(true);
+            clearTimeout(timer);
+            timer = setTimeout(() => setMoment((m) => ({ ...m, shown: false })), 2500);
+            scheduleHide(3500);
+        };
+        const unsubscribeGestures = subscribeGestures((gesture) => {
+            if (gesture.kind !== 'pluck') return;
+            const phrase = gesture.lovesMe ? 'loves me' : 'loves me not';
+            show(gesture.fromPartner ? `she plucked one… ${phrase}` : `${phrase}…`);
+        });
+        const unsubscribeSignals = subscribeSignals(({ signal, fromPartner }) => {
+            if (fromPartner) show(`${signal.receivedText} ${signal.icon}`);
+        });
+        return () => {
+            unsubscribeGestures();
+            unsubscribeSignals();
+            clearTimeout(timer);
+        };
+    }, [scheduleHide]);
 
-    // Format distance
-    const formatDistance = (meters) => {
+    // Format distance — never more precise than the partner's privacy mode allows
+    const formatDistance = (meters, accuracy = 0) => {
         if (meters == null) return null;
-        if (meters < 1000) return `${Math.round(meters)}m away`;
-        if (meters < 100000) return `${(meters / 1000).toFixed(1)}km away`;
-        return `${Math.round(meters / 1000)}km away`;
+        if (accuracy > 0 && meters <= accuracy) return `within ~${Math.round(accuracy)}m`;
+
+        const step = accuracy >= 1000 ? 1000 : accuracy > 0 ? 100 : 1;
+        const rounded = Math.round(meters / step) * step;
+        const prefix = accuracy > 0 ? '~' : '';
+        if (rounded < 1000) return `${prefix}${rounded}m away`;
+        if (rounded < 100000) return `${prefix}${(rounded / 1000).toFixed(1)}km away`;
+        return `${prefix}${Math.round(rounded / 1000)}km away`;
     };
 
     // Determine what to show in the distance area
-    const distanceText = formatDistance(distance);
-    const showWaiting = !hasPartner || distance == null;
+    const distanceText = formatDistance(distance, distanceAccuracy);
+    const showWaiting = !isPaired || !hasPartner || distance == null;
+    const lastSeen = partnerSeenAt != null
+        ? [formatTimeAgo(partnerSeenAt, now), distanceText].filter(Boolean).join(' · ')
+        : null;
+    const status = getStatus({ isPaired, connection, hasPartner, partnerHidden, lastSeen });
+    const arHint = getArHint(ar, hasPartner);
 
     return (
         <div
+            ref={rootRef}
             style={{
                 position: 'fixed',
                 top: 0,
@@ -81,6 +208,35 @@ export default function TypographyOverlay({ distance, isConnected, hasPartner })
                 }}
             >
                 Eternal Golden Hour
+                {arHint && (
+                    <div
+                        style={{
+                            marginTop: '10px',
+                            fontSize: 'clamp(10px, 2vw, 13px)',
+                            fontStyle: 'italic',
+                            letterSpacing: '0.1em',
+                            textTransform: 'none',
+                            color: 'rgba(255, 220, 130, 0.8)',
+                        }}
+                    >
+                        {arHint}
+                    </div>
+                )}
+            </div>
+
+            {/* Middle — loves me, loves me not; her signals */}
+            <div
+                style={{
+                    fontFamily: "'Playfair Display', Georgia, serif",
+                    fontSize: 'clamp(18px, 4vw, 28px)',
+                    fontStyle: 'italic',
+                    color: 'rgba(255, 235, 180, 0.9)',
+                    textShadow: '0 0 30px rgba(255, 183, 0, 0.5)',
+                    opacity: moment.shown ? 1 : 0,
+                    transition: 'opacity 0.8s ease-in-out',
+                }}
+            >
+                {moment.text}
             </div>
 
             {/* Bottom — distance + status */}
@@ -107,20 +263,89 @@ export default function TypographyOverlay({ distance, isConnected, hasPartner })
                         fontSize: 'clamp(10px, 2vw, 13px)',
                         fontWeight: 300,
                         letterSpacing: '0.2em',
-                        color: isConnected
-                            ? hasPartner
-                                ? 'rgba(180, 255, 180, 0.6)'
-                                : 'rgba(255, 220, 150, 0.5)'
-                            : 'rgba(255, 200, 150, 0.5)',
+                        color: status.color,
                         textTransform: 'uppercase',
                     }}
                 >
-                    {isConnected
-                        ? hasPartner
-                            ? '● connected'
-                            : '○ waiting for her'
-                        : '○ dreaming'
-                    }
+                    {status.text}
+                </div>
+
+                <div
+                    style={{
+                        display: 'flex',
+                        flexDirection: 'column',
+                        alignItems: 'center',
+                        gap: '12px',
+                        marginTop: '16px',
+                    }}
+                >
+                    {openPanel === 'pair' && <PairingPanel />}
+                    {openPanel === 'signals' && pairing && <SignalsPanel />}
+                    {openPanel === 'journey' && pairing && <JourneyPanel journey={journey} />}
+                    {openPanel === 'settings' && <SettingsPanel />}
+                    {openPanel === 'dev' && <DevPanel />}
+
+                    <div
+                        style={{
+                            display: 'flex',
+                            flexWrap: 'wrap',
+                            justifyContent: 'center',
+                            gap: '8px',
+                            // Faded out, the pills mustn't swallow taps meant for the flower
+                            pointerEvents: visible ? 'auto' : 'none',
+                        }}
+                    >
+                        <button
+                            type="button"
+                            style={openPanel === 'pair' ? activeButtonStyle : buttonStyle}
+                            onClick={() => togglePanel('pair')}
+                        >
+                            {pairing ? `Paired · ${formatInviteCode(pairing.id)}` : 'Pair'}
+                        </button>
+                        {pairing && (
+                            <button
+                                type="button"
+                                style={openPanel === 'signals' ? activeButtonStyle : buttonStyle}
+                                onClick={() => togglePanel('signals')}
+                            >
+                                Touch
+                            </button>
+                        )}
+                        {pairing && (
+                            <button
+                                type="button"
+                                style={openPanel === 'journey' ? activeButtonStyle : buttonStyle}
+                                onClick={() => togglePanel('journey')}
+                            >
+                                Journey
+                            </button>
+                        )}
+                        {(ar.support === 'webxr' || ar.support === 'camera') && (
+                            <button
+                                type="button"
+                                style={ar.mode ? activeButtonStyle : buttonStyle}
+                                onClick={() => (ar.mode ? stopAr() : startAr(rootRef.current))}
+                            >
+                                {ar.mode ? 'Leave AR' : 'AR'}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            style={openPanel === 'settings' ? activeButtonStyle : buttonStyle}
+                            onClick={() => togglePanel('settings')}
+                        >
+                            Settings
+                        </button>
+                        {isDevMode && (
+                            <button
+                                type="button"
+                                style={openPanel === 'dev' ? activeButtonStyle : buttonStyle}
+                                onClick={() => togglePanel('dev')}
+                            >
+                                Dev
+                            </button>
+                        )}
+                    </div>
                 </div>
             </div>
         </div>
@@ -0,0 +1,43 @@
+/**
+ * Shared inline styles for the overlay's pill buttons and panels.
+ */
+
+export const buttonStyle = {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: 'clamp(10px, 2vw, 13px)',
+    letterSpacing: '0.2em',
+    textTransform: 'uppercase',
+    color: 'rgba(255, 220, 130, 0.9)',
+    background: 'rgba(26, 15, 0, 0.55)',
+    border: '1px solid rgba(255, 220, 130, 0.35)',
+    borderRadius: '999px',
+    padding: '8px 18px',
+    cursor: 'pointer',
+};
+
+export const activeButtonStyle = {
+    ...buttonStyle,
+    color: 'rgba(26, 15, 0, 0.9)',
+    background: 'rgba(255, 220, 130, 0.85)',
+};
+
+export const labelStyle = {
+    fontSize: 'clamp(10px, 2vw, 12px)',
+    fontWeight: 300,
+    letterSpacing: '0.2em',
+    textTransform: 'uppercase',
+    color: 'rgba(255, 248, 225, 0.6)',
+};
+
+export const cardStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '18px 22px',
+    background: 'rgba(13, 8, 0, 0.7)',
+    border: '1px solid rgba(255, 220, 130, 0.2)',
+    borderRadius: '16px',
+    boxShadow: '0 0 40px rgba(255, 183, 0, 0.15)',
+    pointerEvents: 'auto',
+};
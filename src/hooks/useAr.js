@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeAr, getArSnapshot } from '../lib/ar';
+
+/**
+ * AR mode: { support, mode, session, stream, placed, error } — see lib/ar.js.
+ */
+export function useAr() {
+    return useSyncExternalStore(subscribeAr, getArSnapshot);
+}
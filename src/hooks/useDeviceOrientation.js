@@ -1,54 +1,18 @@
-import { useState, useEffect, useRef } from 'react';
-
+import { useSyncExternalStore } from 'react';
+import { subscribeOrientation, getOrientationSnapshot } from '../lib/orientation';
+import { useSimulation } from './useSimulation';
+
+/**
+ * Smoothed true-north compass heading — see lib/orientation.js.
+ * Returns { heading, accuracy, isAbsolute, isSupported, tilt, declination, needsCalibration }.
+ */
 export function useDeviceOrientation() {
-    const [heading, setHeading] = useState(0);
-    const [isSupported, setIsSupported] = useState(false);
-    const simulatedRef = useRef(0);
-
-    useEffect(() => {
-        // Check if DeviceOrientationEvent is available
-        const hasOrientation = 'DeviceOrientationEvent' in window;
-
-        if (hasOrientation) {
-            const handleOrientation = (event) => {
-                // webkitCompassHeading for iOS, alpha for Android
-                let compassHeading = event.webkitCompassHeading ?? (360 - (event.alpha || 0));
-                setHeading(compassHeading);
-                setIsSupported(true);
-            };
-
-            // iOS 13+ requires permission
-            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-                // Permission will be requested on first user gesture (handled in UI)
-                window.__requestOrientationPermission = async () => {
-                    try {
-                        const result = await DeviceOrientationEvent.requestPermission();
-                        if (result === 'granted') {
-                            window.addEventListener('deviceorientation', handleOrientation, true);
-                            setIsSupported(true);
-                        }
-                    } catch (e) {
-                        console.warn('Orientation permission denied:', e);
-                    }
-                };
-            } else {
-                window.addEventListener('deviceorientation', handleOrientation, true);
-            }
-
-            return () => {
-                window.removeEventListener('deviceorientation', handleOrientation, true);
-            };
-        }
-
-        // Desktop fallback: slowly drift the heading for visual demo
-        setIsSupported(false);
-        const interval = setInterval(() => {
-            simulatedRef.current = (simulatedRef.current + 0.15) % 360;
-            setHeading(simulatedRef.current);
-        }, 50);
-
-        return () => clearInterval(interval);
-    }, []);
-
-    return { heading, isSupported };
+    const orientation = useSyncExternalStore(subscribeOrientation, getOrientationSnapshot);
+    // Dev mode can pin the heading (see lib/simulation.js)
+    const { heading: headingOverride } = useSimulation();
+
+    if (headingOverride != null) {
+        return { ...orientation, heading: headingOverride, isAbsolute: true, isSupported: true, needsCalibration: false };
+    }
+    return orientation;
 }
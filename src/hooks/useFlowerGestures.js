@@ -0,0 +1,154 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { useThree } from '@react-three/fiber';
+import { performGesture, subscribeGestures } from '../lib/gestures';
+
+const LONG_PRESS_MS = 600;
+// Moving further than this turns a press into an orbit drag
+const MOVE_TOLERANCE_PX = 10;
+// Stroke glow updates sent at most this often
+const GLOW_SEND_MS = 200;
+// Glow gained per pixel stroked across the disc
+const GLOW_PER_PX = 0.003;
+
+/** Key of one petal instance in the reaction maps */
+export function petalKey(ring, index) {
+    return ring * 1000 + index;
+}
+
+/**
+ * Pause the default camera controls (OrbitControls makeDefault); returns a
+ * function putting them back as they were — off, outside free-orbit mode
+ */
+function pauseOrbit(get) {
+    const { controls } = get();
+    if (!controls) return null;
+    const wasEnabled = controls.enabled;
+    controls.enabled = false;
+    return () => {
+        controls.enabled = wasEnabled;
+    };
+}
+
+/**
+ * Touch gestures on the flower, and the reactions they trigger.
+ *
+ * reactionsRef.current — read every frame by the flower:
+ *   flutters: Map<petalKey, start ms>, plucks: Map<petalKey, start ms>, glow: 0-1
+ * Every flower reacts to gestures from either partner; only an `interactive`
+ * one gets pointer handlers: petalHandlers(ring, indices) for each of a
+ * petal ring's InstancedMeshes — `indices` maps instance ids to petal
+ * indices within the ring — and discHandlers for the seed head.
+ */
+export function useFlowerGestures({ interactive = false } = {}) {
+    const get = useThree((state) => state.get);
+    const reactionsRef = useRef(null);
+    if (reactionsRef.current === null) {
+        reactionsRef.current = { flutters: new Map(), plucks: new Map(), glow: 0 };
+    }
+    const pressRef = useRef(null);
+
+    // Play every gesture, ours or the partner's
+    useEffect(() => subscribeGestures((gesture) => {
+        const reactions = reactionsRef.current;
+        const now = performance.now();
+        if (gesture.kind === 'glow') {
+            reactions.glow = Math.max(reactions.glow, gesture.intensity);
+            return;
+        }
+        const key = petalKey(gesture.ring, gesture.index);
+        if (gesture.kind === 'flutter') {
+            reactions.flutters.set(key, now);
+        } else if (gesture.kind === 'pluck' && !reactions.plucks.has(key)) {
+            reactions.plucks.set(key, now);
+        }
+    }), []);
+
+    const endPress = useCallback(() => {
+        const press = pressRef.current;
+        if (!press) return;
+        pressRef.current = null;
+        clearTimeout(press.timer);
+        window.removeEventListener('pointermove', press.onMove);
+        window.removeEventListener('pointerup', press.onUp);
+        window.removeEventListener('pointercancel', press.onCancel);
+        press.resumeOrbit?.();
+    }, []);
+
+    // Pointer tracking continues off the flower until release
+    const beginPress = useCallback((e, press) => {
+        endPress();
+        press.pointerId = e.pointerId;
+        press.x = e.clientX;
+        press.y = e.clientY;
+        press.onMove = (ev) => ev.pointerId === press.pointerId && press.move(ev);
+        press.onUp = (ev) => {
+            if (ev.pointerId !== press.pointerId) return;
+            press.release?.();
+            endPress();
+        };
+        press.onCancel = endPress;
+        window.addEventListener('pointermove', press.onMove);
+        window.addEventListener('pointerup', press.onUp);
+        window.addEventListener('pointercancel', press.onCancel);
+        pressRef.current = press;
+    }, [endPress]);
+
+    useEffect(() => endPress, [endPress]);
+
+    // Tap: flutter. Long press: pluck. Drag: leave it to the orbit controls.
+    const petalHandlers = useCallback((ring, indices) => ({
+        onPointerDown: (e) => {
+            if (e.instanceId == null) return;
+            e.stopPropagation();
+            const index = indices ? indices[e.instanceId] : e.instanceId;
+            if (reactionsRef.current.plucks.has(petalKey(ring, index))) return;
+
+            const press = {
+                plucked: false,
+                move: (ev) => {
+                    if (Math.hypot(ev.clientX - press.x, ev.clientY - press.y) > MOVE_TOLERANCE_PX) {
+                        endPress();
+                    }
+                },
+                release: () => {
+                    if (!press.plucked) performGesture({ kind: 'flutter', ring, index });
+                },
+            };
+            press.timer = setTimeout(() => {
+                press.plucked = true;
+                performGesture({ kind: 'pluck', ring, index });
+            }, LONG_PRESS_MS);
+            beginPress(e, press);
+        },
+    }), [beginPress, endPress]);
+
+    // Stroking the disc builds up a glow; the camera holds still meanwhile
+    const onDiscPointerDown = useCallback((e) => {
+        e.stopPropagation();
+
+        let lastSent = 0;
+        const press = {
+            move: (ev) => {
+                const reactions = reactionsRef.current;
+                const stroked = Math.hypot(ev.clientX - press.x, ev.clientY - press.y);
+                press.x = ev.clientX;
+                press.y = ev.clientY;
+                reactions.glow = Math.min(1, reactions.glow + stroked * GLOW_PER_PX);
+
+                const now = performance.now();
+                if (now - lastSent > GLOW_SEND_MS) {
+                    lastSent = now;
+                    performGesture({ kind: 'glow', intensity: reactions.glow });
+                }
+            },
+        };
+        beginPress(e, press);
+        press.resumeOrbit = pauseOrbit(get);
+    }, [get, beginPress]);
+
+    return {
+        reactionsRef,
+        petalHandlers: interactive ? petalHandlers : null,
+        discHandlers: interactive ? { onPointerDown: onDiscPointerDown } : null,
+    };
+}
@@ -1,19 +1,42 @@
 import { useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
-import * as THREE from 'three';
+
+const EAST = Math.PI / 2;
+const MAX_HEAD_PITCH = 0.6; // how far the head may tip toward a low sun (radians)
+
+/** Wrap an angle to (-π, π] */
+function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+/** Lerp between angles along the shortest arc */
+function lerpAngle(from, to, t) {
+    return from + wrapAngle(to - from) * t;
+}
 
 /**
- * Smoothly rotates the flower to face the partner.
- * targetBearing: degrees clockwise from north (0-360)
+ * Orients the sunflower.
+ *
+ * The whole plant turns to lean toward the partner, while the flower head
+ * tracks the sun like a real sunflower — east to west through the day, then
+ * back to face east overnight, ready for sunrise.
+ *
+ * targetBearing: degrees clockwise from north (0-360) to the partner
  * deviceHeading: degrees clockwise from north (0-360)
- * Returns a ref to attach to the flower group.
+ * sun: { azimuth, elevation } in degrees, nightFactor 0 (day) → 1 (night)
+ * heliotropism: 0 = head faces the partner like the plant, 1 = head fully follows the sun
+ *
+ * Returns refs to attach to the plant group and the flower-head group.
  */
-export function useFlowerRotation(targetBearing, deviceHeading) {
-    const groupRef = useRef();
+export function useFlowerRotation(targetBearing, deviceHeading, { sun, nightFactor = 0, heliotropism = 0 } = {}) {
+    const plantRef = useRef();
+    const headRef = useRef();
     const currentRotation = useRef(0);
+    const headYaw = useRef(0);
+    const headPitch = useRef(0);
 
     useFrame((_, delta) => {
-        if (!groupRef.current) return;
+        if (!plantRef.current) return;
 
         // The flower should face: bearing relative to device heading
         // Convert to radians
@@ -21,15 +44,37 @@ export function useFlowerRotation(targetBearing, deviceHeading) {
 
         // Smooth lerp — damping factor creates organic, heavy movement
         const dampingFactor = 1 - Math.pow(0.001, delta); // ~2-3s settle time
-        currentRotation.current = THREE.MathUtils.lerp(
+        currentRotation.current = lerpAngle(
             currentRotation.current,
             relativeAngle,
             dampingFactor * 0.8
         );
 
         // Apply rotation around Y axis
-        groupRef.current.rotation.y = currentRotation.current;
+        plantRef.current.rotation.y = currentRotation.current;
+
+        if (!headRef.current || !sun) return;
+
+        // Where the head wants to look: the sun by day, east by night — made
+        // relative to the device heading, like the plant's own rotation
+        const headingYaw = (deviceHeading * Math.PI) / 180;
+        const sunYaw = (sun.azimuth * Math.PI) / 180 - headingYaw;
+        const targetYaw = lerpAngle(sunYaw, EAST - headingYaw, nightFactor);
+        // Relative to the plant, scaled by how strongly it follows the sun
+        const localYaw = wrapAngle(targetYaw - currentRotation.current) * heliotropism;
+
+        // Tip toward a low sun; level out at night
+        const elevation = Math.max(sun.elevation, 0) * (Math.PI / 180);
+        const targetPitch = Math.min((Math.PI / 2 - elevation) * 0.5, MAX_HEAD_PITCH)
+            * heliotropism * (1 - nightFactor);
+
+        // The head turns even more slowly than the plant
+        const headDamping = 1 - Math.pow(0.05, delta);
+        headYaw.current = lerpAngle(headYaw.current, localYaw, headDamping * 0.3);
+        headPitch.current += (targetPitch - headPitch.current) * headDamping * 0.3;
+
+        headRef.current.rotation.set(headPitch.current, headYaw.current, 0, 'YXZ');
     });
 
-    return groupRef;
+    return { plantRef, headRef };
 }
@@ -0,0 +1,12 @@
+import { useMemo } from 'react';
+import { usePairing } from './usePairing';
+import { getPairGenome, SHARED_GENOME } from '../lib/genome';
+
+/**
+ * The flower genome to grow — from a `?genome=` link if one was opened,
+ * otherwise derived from the pair's ID (the classic flower while unpaired).
+ */
+export function useGenome() {
+    const pairId = usePairing()?.id ?? null;
+    return useMemo(() => SHARED_GENOME ?? getPairGenome(pairId), [pairId]);
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeGrowth, getGrowthSnapshot } from '../lib/growth';
+
+/**
+ * The pair's flower growth: { minutes, progress, stage, isGrowing }.
+ * progress runs 0 (seedling) → 4 (seed-heavy), see lib/growth.js.
+ */
+export function useGrowth() {
+    return useSyncExternalStore(subscribeGrowth, getGrowthSnapshot);
+}
@@ -1,36 +1,72 @@
-import { useRef } from 'react';
+import { useRef, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
+import { subscribeSignals } from '../lib/signals';
+import { getFreshness } from '../lib/lastSeen';
+
+// A hug: a few strong, quick beats that fade out
+const HUG_SECONDS = 2.5;
+const HUG_BPM = 150;
+const HUG_INTENSITY = 0.12;
+
+/** Double-bump beat shape, like a real heartbeat — 0 to ~1.5 */
+function beatShape(time, frequency) {
+    const phase = (time * frequency * Math.PI * 2) % (Math.PI * 2);
+    const beat1 = Math.pow(Math.max(0, Math.sin(phase)), 4);
+    const beat2 = Math.pow(Math.max(0, Math.sin(phase + 0.6)), 8) * 0.5;
+    return beat1 + beat2;
+}
 
 /**
  * Proximity heartbeat pulse.
  * distance: meters to partner
+ * accuracy: how far off that distance may be (coarse / relayed privacy modes)
+ * seenAt: when that position was shared — the pulse fades as it ages
+ * A hug signal from either partner spikes the pulse for a moment.
  * Returns a ref whose .current is the pulse scale factor (centered around 1.0).
  */
-export function useHeartbeat(distance) {
+export function useHeartbeat(distance, accuracy = 0, seenAt = null) {
     const scaleRef = useRef(1);
     const timeRef = useRef(0);
+    // Seconds since the last hug, null when none is playing
+    const hugRef = useRef(null);
+
+    useEffect(() => subscribeSignals(({ signal }) => {
+        if (signal.effect === 'heartbeat') hugRef.current = 0;
+    }), []);
 
     useFrame((_, delta) => {
-        if (distance == null || distance > 1000) {
-            // No partner or too far — no pulse, gracefully return to 1
-            scaleRef.current += (1 - scaleRef.current) * 0.05;
+        let hug = 0;
+        if (hugRef.current != null) {
+            hugRef.current += delta;
+            const t = hugRef.current;
+            if (t > HUG_SECONDS) {
+                hugRef.current = null;
+            } else {
+                hug = beatShape(t, HUG_BPM / 60) * HUG_INTENSITY * (1 - t / HUG_SECONDS);
+            }
+        }
+
+        // Never beat faster than the shared precision can justify —
+        // a blurred partner 50m away reads as "somewhere within 500m"
+        const effectiveDistance = distance == null ? null : Math.max(distance, accuracy);
+        // She may have gone quiet — an old position beats ever more faintly
+        const freshness = getFreshness(seenAt);
+
+        if (effectiveDistance == null || effectiveDistance > 1000 || freshness === 0) {
+            // No partner, too far or long gone — no pulse, gracefully return to 1
+            scaleRef.current += (1 + hug - scaleRef.current) * (hug > 0 ? 0.5 : 0.05);
             return;
         }
 
         // BPM scales from 60 (at 1000m) to 120 (at 0m)
-        const t = 1 - Math.min(distance / 1000, 1);
+        const t = 1 - Math.min(effectiveDistance / 1000, 1);
         const bpm = 60 + t * 60;
         const frequency = bpm / 60; // beats per second
 
         timeRef.current += delta;
 
-        // Heartbeat shape: double-bump like a real heartbeat
-        const phase = (timeRef.current * frequency * Math.PI * 2) % (Math.PI * 2);
-        const beat1 = Math.pow(Math.max(0, Math.sin(phase)), 4);
-        const beat2 = Math.pow(Math.max(0, Math.sin(phase + 0.6)), 8) * 0.5;
-
-        const intensity = 0.03 + t * 0.05; // Stronger pulse when closer
-        scaleRef.current = 1 + (beat1 + beat2) * intensity;
+        const intensity = (0.03 + t * 0.05) * freshness; // Stronger pulse when closer
+        scaleRef.current = 1 + beatShape(timeRef.current, frequency) * intensity + hug;
     });
 
     return scaleRef;
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeJourney, getJourneySnapshot } from '../lib/journey';
+
+/**
+ * The journey log: { ready, timeline, stats } — see lib/journey.js.
+ * Recording runs while anything is subscribed.
+ */
+export function useJourney() {
+    return useSyncExternalStore(subscribeJourney, getJourneySnapshot);
+}
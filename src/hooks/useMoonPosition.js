@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import { resolveLocation } from '../lib/timezoneLocation';
+import { getMoonPosition, getMoonPhase } from '../lib/lunar';
+
+function computeMoon(date, lat, lon) {
+    return { ...getMoonPosition(date, lat, lon), ...getMoonPhase(date) };
+}
+
+/**
+ * Moon position and phase for a location and local time.
+ * lat/lon: the viewer's or the partner's coordinates, or null to fall back
+ * to a guess from this device's timezone.
+ */
+export function useMoonPosition(lat, lon) {
+    const { lat: moonLat, lon: moonLon } = resolveLocation(lat, lon);
+    const [moon, setMoon] = useState(() => computeMoon(new Date(), moonLat, moonLon));
+
+    useEffect(() => {
+        const update = () => setMoon(computeMoon(new Date(), moonLat, moonLon));
+
+        update();
+        const interval = setInterval(update, 60000); // Update every minute
+        return () => clearInterval(interval);
+    }, [moonLat, moonLon]);
+
+    // Convert azimuth/elevation to 3D position, on the same sphere as the sun
+    const azRad = (moon.azimuth * Math.PI) / 180;
+    const elRad = (moon.elevation * Math.PI) / 180;
+    const distance = 15;
+
+    return {
+        azimuth: moon.azimuth,
+        elevation: moon.elevation,
+        fraction: moon.fraction,
+        phase: moon.phase,
+        position: [
+            distance * Math.cos(elRad) * Math.sin(azRad),
+            distance * Math.sin(elRad),
+            distance * Math.cos(elRad) * Math.cos(azRad),
+        ],
+    };
+}
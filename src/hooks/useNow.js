@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * The current time (ms), re-read every `intervalMs` — for "5 min ago"
+ * labels that should stay honest while they're on screen.
+ */
+export function useNow(intervalMs = 30 * 1000) {
+    const [now, setNow] = useState(Date.now);
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), intervalMs);
+        return () => clearInterval(interval);
+    }, [intervalMs]);
+
+    return now;
+}
@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getPairing, subscribePairing } from '../lib/pairing';
+
+/**
+ * Current pairing record ({ id, role, createdAt }) or null when unpaired.
+ */
+export function usePairing() {
+    return useSyncExternalStore(subscribePairing, getPairing);
+}
@@ -0,0 +1,11 @@
+import { useSyncExternalStore, useCallback } from 'react';
+import { getSettings, setSetting, subscribeSettings } from '../lib/settings';
+
+/**
+ * A single persisted setting as a [value, setValue] pair.
+ */
+export function useSetting(key) {
+    const settings = useSyncExternalStore(subscribeSettings, getSettings);
+    const setValue = useCallback((value) => setSetting(key, value), [key]);
+    return [settings[key], setValue];
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeSignalHistory, getSignalHistory } from '../lib/signals';
+
+/**
+ * Recent signals between the pair, newest first: [{ id, fromPartner, at }].
+ * See lib/signals.js.
+ */
+export function useSignalHistory() {
+    return useSyncExternalStore(subscribeSignalHistory, getSignalHistory);
+}
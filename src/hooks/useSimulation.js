@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeSimulation, getSimulation } from '../lib/simulation';
+
+/**
+ * Dev simulation settings: { self, partner, replay, heading }.
+ * See lib/simulation.js — only ever changes with `?dev` in the URL.
+ */
+export function useSimulation() {
+    return useSyncExternalStore(subscribeSimulation, getSimulation);
+}
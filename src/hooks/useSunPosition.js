@@ -1,56 +1,47 @@
 import { useState, useEffect } from 'react';
+import { resolveLocation } from '../lib/timezoneLocation';
+import { getSolarPosition, getSolarEvents } from '../lib/solar';
+import { getDaylight } from '../lib/skyPalette';
 
-/**
- * Simple solar position calculator.
- * Returns azimuth (0-360, 0=North) and elevation (-90 to 90) in degrees.
- */
-function calcSunPosition(date, lat, lon) {
-    const rad = Math.PI / 180;
-    const dayOfYear = Math.floor(
-        (date - new Date(date.getFullYear(), 0, 0)) / 86400000
-    );
-
-    // Solar declination (simplified)
-    const declination = -23.45 * Math.cos(rad * (360 / 365) * (dayOfYear + 10));
-
-    // Hour angle
-    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
-    const solarNoon = 12 - lon / 15;
-    const hourAngle = (utcHours - solarNoon) * 15;
-
-    // Elevation
-    const sinElev =
-        Math.sin(lat * rad) * Math.sin(declination * rad) +
-        Math.cos(lat * rad) * Math.cos(declination * rad) * Math.cos(hourAngle * rad);
-    const elevation = Math.asin(sinElev) / rad;
-
-    // Azimuth
-    const cosAz =
-        (Math.sin(declination * rad) - Math.sin(lat * rad) * sinElev) /
-        (Math.cos(lat * rad) * Math.cos(elevation * rad));
-    let azimuth = Math.acos(Math.max(-1, Math.min(1, cosAz))) / rad;
-    if (hourAngle > 0) azimuth = 360 - azimuth;
+// "Eternal golden hour" lights the scene as if the sun were at least this high
+const GOLDEN_HOUR_ELEVATION = 5;
 
-    return { azimuth, elevation };
+function computeSun(date, lat, lon) {
+    const events = getSolarEvents(date, lat, lon);
+    return {
+        ...getSolarPosition(date, lat, lon),
+        events,
+        rising: date < events.solarNoon,
+    };
 }
 
-export function useSunPosition(lat = 28.6139, lon = 77.2090) {
-    const [sunPos, setSunPos] = useState({ azimuth: 220, elevation: 15 });
+/**
+ * Sun position and today's sun events (sunrise, sunset, civil twilight,
+ * golden-hour windows — see lib/solar.js) for a location and local time.
+ * lat/lon: the viewer's or the partner's coordinates, or null to fall back
+ * to a guess from this device's timezone.
+ * eternalGoldenHour: never let the displayed sun sink below golden hour.
+ */
+export function useSunPosition(lat, lon, { eternalGoldenHour = false } = {}) {
+    // Until a GPS fix arrives (or if it never does), place the sun from the timezone
+    const { lat: sunLat, lon: sunLon, isApproximate } = resolveLocation(lat, lon);
+
+    const [sunPos, setSunPos] = useState(() => computeSun(new Date(), sunLat, sunLon));
 
     useEffect(() => {
-        const update = () => {
-            const pos = calcSunPosition(new Date(), lat, lon);
-            setSunPos(pos);
-        };
+        const update = () => setSunPos(computeSun(new Date(), sunLat, sunLon));
 
         update();
         const interval = setInterval(update, 60000); // Update every minute
         return () => clearInterval(interval);
-    }, [lat, lon]);
+    }, [sunLat, sunLon]);
 
     // Convert azimuth/elevation to 3D position for the light
     const azRad = (sunPos.azimuth * Math.PI) / 180;
-    const elRad = (Math.max(sunPos.elevation, 5) * Math.PI) / 180; // Clamp above horizon
+    const displayElevation = eternalGoldenHour
+        ? Math.max(sunPos.elevation, GOLDEN_HOUR_ELEVATION) // Clamp above horizon
+        : sunPos.elevation;
+    const elRad = (displayElevation * Math.PI) / 180;
 
     const distance = 15;
     const x = distance * Math.cos(elRad) * Math.sin(azRad);
@@ -60,6 +51,13 @@ export function useSunPosition(lat = 28.6139, lon = 77.2090) {
     return {
         azimuth: sunPos.azimuth,
         elevation: sunPos.elevation,
+        displayElevation,
+        // 0 at night → 1 in daylight, for fading lights between the two
+        daylight: getDaylight(displayElevation),
+        // Before solar noon — morning light rather than evening light
+        rising: sunPos.rising,
         position: [x, y, z],
+        events: sunPos.events,
+        isApproximate,
     };
 }
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { fetchWeather, roundWeatherCoord, WEATHER_REFRESH_MS } from '../lib/weather';
+
+/**
+ * Current weather at a location (see lib/weather.js), refreshed every
+ * 15 minutes. Returns null until the first response, or when lat/lon are null.
+ */
+export function useWeather(lat, lon) {
+    const [weather, setWeather] = useState(null);
+    const hasLocation = lat != null && lon != null;
+    // Only refetch when the rounded position changes, not on every GPS update
+    const weatherLat = hasLocation ? roundWeatherCoord(lat) : null;
+    const weatherLon = hasLocation ? roundWeatherCoord(lon) : null;
+
+    useEffect(() => {
+        if (weatherLat == null) return;
+        const controller = new AbortController();
+
+        const update = () => {
+            fetchWeather(weatherLat, weatherLon, { signal: controller.signal })
+                .then(setWeather)
+                .catch((err) => {
+                    if (err.name !== 'AbortError') {
+                        console.warn('[Sunflower] Weather unavailable:', err.message);
+                    }
+                });
+        };
+
+        update();
+        const interval = setInterval(update, WEATHER_REFRESH_MS);
+        return () => {
+            controller.abort();
+            clearInterval(interval);
+        };
+    }, [weatherLat, weatherLon]);
+
+    return hasLocation ? weather : null;
+}
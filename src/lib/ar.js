@@ -0,0 +1,120 @@
+/**
+ * AR mode — hold up the phone and see the sunflower in the room, facing her.
+ *
+ * Two ways in, best first:
+ *   webxr   an `immersive-ar` session with hit testing: the flower is
+ *           planted on a detected surface (anchored where the browser can)
+ *   camera  the rear camera via getUserMedia behind a transparent Canvas —
+ *           no tracking, the flower just stands in front of you
+ *
+ * The camera fallback is for phones only — a webcam facing you is no use.
+ * With neither, `support` is 'none' and the app stays as it is. Sessions
+ * must start from a user gesture, so `startAr` belongs in a click handler.
+ * The scene side lives in components/ArScene.jsx.
+ */
+import { isMobile } from './deviceDetect';
+
+let snapshot = {
+    // 'unknown' until detected, then 'webxr' | 'camera' | 'none'
+    support: 'unknown',
+    // null when not in AR, else 'webxr' | 'camera'
+    mode: null,
+    // XRSession in webxr mode
+    session: null,
+    // MediaStream in camera mode
+    stream: null,
+    // Whether the flower has been planted on a surface yet (webxr)
+    placed: false,
+    error: null,
+};
+
+const listeners = new Set();
+let detecting = null;
+
+function publish(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((cb) => cb());
+}
+
+async function detectSupport() {
+    try {
+        if (await navigator.xr?.isSessionSupported('immersive-ar')) return 'webxr';
+    } catch (e) {
+        console.warn('[Sunflower] WebXR support check failed:', e);
+    }
+    return isMobile && navigator.mediaDevices?.getUserMedia ? 'camera' : 'none';
+}
+
+// Taps on the overlay's buttons shouldn't also plant the flower
+function keepControlTaps(e) {
+    if (e.target.closest?.('button, input, label')) e.preventDefault();
+}
+
+async function startWebXr(overlayRoot) {
+    const session = await navigator.xr.requestSession('immersive-ar', {
+        requiredFeatures: ['hit-test'],
+        optionalFeatures: ['anchors', 'dom-overlay'],
+        ...(overlayRoot ? { domOverlay: { root: overlayRoot } } : {}),
+    });
+    overlayRoot?.addEventListener('beforexrselect', keepControlTaps);
+    session.addEventListener('end', () => {
+        overlayRoot?.removeEventListener('beforexrselect', keepControlTaps);
+        if (snapshot.session === session) publish({ mode: null, session: null, placed: false });
+    });
+    publish({ mode: 'webxr', session, placed: false, error: null });
+}
+
+async function startCamera() {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false,
+    });
+    publish({ mode: 'camera', stream, placed: true, error: null });
+}
+
+/**
+ * Enter AR — WebXR where supported, else the camera passthrough.
+ * overlayRoot: element kept on screen during a WebXR session (dom-overlay).
+ */
+export async function startAr(overlayRoot) {
+    if (snapshot.mode) return;
+    if (snapshot.error) publish({ error: null });
+    try {
+        if (snapshot.support === 'webxr') {
+            try {
+                await startWebXr(overlayRoot);
+                return;
+            } catch (e) {
+                console.warn('[Sunflower] WebXR session refused, using the camera:', e);
+            }
+        }
+        await startCamera();
+    } catch (e) {
+        console.warn('[Sunflower] AR unavailable:', e);
+        publish({ error: 'Could not open the camera' });
+    }
+}
+
+export function stopAr() {
+    const { session, stream } = snapshot;
+    publish({ mode: null, session: null, stream: null, placed: false });
+    session?.end().catch(() => {});
+    stream?.getTracks().forEach((track) => track.stop());
+}
+
+export function setArPlaced(placed) {
+    if (placed !== snapshot.placed) publish({ placed });
+}
+
+export function subscribeAr(cb) {
+    listeners.add(cb);
+    if (!detecting) {
+        detecting = detectSupport().then((support) => publish({ support }));
+    }
+    return () => listeners.delete(cb);
+}
+
+/** { support, mode, session, stream, placed, error } */
+export function getArSnapshot() {
+    return snapshot;
+}
@@ -0,0 +1,50 @@
+/**
+ * BroadcastChannel transport — two tabs of the same browser on one machine,
+ * for trying the whole partner flow without any backend.
+ *
+ * Those tabs share localStorage, so they share one pairing and one device
+ * key: pair once, reload, and every tab is in the pair. `sharedStorage`
+ * tells the location store to give each page its own presence key.
+ * See transport.js for the interface.
+ */
+import { createPresenceRoom } from './presenceRoom';
+
+export function createBroadcastTransport() {
+    return {
+        name: 'broadcast',
+        sharedStorage: true,
+
+        join(name, { key, onSync, onBroadcast, onStatus }) {
+            let left = false;
+            const channel = new BroadcastChannel(`sunflower:${name}`);
+            const room = createPresenceRoom({
+                key,
+                post: (message) => channel.postMessage(message),
+                onSync: (state) => !left && onSync(state),
+                onBroadcast: (event, payload) => !left && onBroadcast(event, payload),
+            });
+
+            channel.onmessage = (e) => room.receive(e.data);
+            room.start();
+            // Nothing to wait for — but report it asynchronously, like a network would
+            setTimeout(() => !left && onStatus('SUBSCRIBED'), 0);
+
+            return {
+                track: async (meta) => {
+                    room.track(meta);
+                    return 'ok';
+                },
+                broadcast: async (event, payload) => {
+                    room.broadcast(event, payload);
+                    return 'ok';
+                },
+                leave: async () => {
+                    if (left) return;
+                    left = true;
+                    room.stop();
+                    channel.close();
+                },
+            };
+        },
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Magnetic declination — how far magnetic north is from true north, from
+ * the main field of the World Magnetic Model (WMM2020) truncated to degree
+ * 4 and evaluated at the surface of a spherical Earth.
+ *
+ * Good to a few degrees nearly everywhere, which is well within what a
+ * phone magnetometer manages; not for navigation near the poles.
+ */
+
+// Schmidt semi-normalised Gauss coefficients (nT): [n, m, g, h]
+const COEFFICIENTS = [
+    [1, 0, -29404.5, 0],
+    [1, 1, -1450.7, 4652.9],
+    [2, 0, -2500.0, 0],
+    [2, 1, 2982.0, -2991.6],
+    [2, 2, 1676.8, -734.8],
+    [3, 0, 1363.9, 0],
+    [3, 1, -2381.0, -82.2],
+    [3, 2, 1236.2, 241.8],
+    [3, 3, 525.7, -542.9],
+    [4, 0, 903.1, 0],
+    [4, 1, 809.4, 282.0],
+    [4, 2, 86.2, -158.4],
+    [4, 3, -309.4, 199.8],
+    [4, 4, 47.9, -350.1],
+];
+
+function factorial(n) {
+    let f = 1;
+    for (let i = 2; i <= n; i++) f *= i;
+    return f;
+}
+
+/** Schmidt semi-normalised associated Legendre P_n^m(cos θ), no Condon–Shortley phase */
+function legendre(n, m, theta) {
+    const x = Math.cos(theta);
+    const s = Math.sin(theta);
+
+    // P_m^m, then up the recurrence to P_n^m
+    let pmm = 1;
+    for (let i = 1; i <= m; i++) pmm *= (2 * i - 1) * s;
+    let p = pmm;
+    if (n > m) {
+        let prev = pmm;
+        p = x * (2 * m + 1) * pmm;
+        for (let k = m + 2; k <= n; k++) {
+            const next = ((2 * k - 1) * x * p - (k + m - 1) * prev) / (k - m);
+            prev = p;
+            p = next;
+        }
+    }
+
+    return m === 0 ? p : p * Math.sqrt((2 * factorial(n - m)) / factorial(n + m));
+}
+
+/** Declination in degrees at lat/lon — positive when magnetic north is east of true north */
+export function getDeclination(lat, lon) {
+    // Keep clear of the poles, where east and north stop meaning anything
+    const theta = ((90 - Math.max(Math.min(lat, 89.9), -89.9)) * Math.PI) / 180;
+    const phi = (lon * Math.PI) / 180;
+    const dTheta = 1e-6;
+
+    let north = 0;
+    let east = 0;
+    for (const [n, m, g, h] of COEFFICIENTS) {
+        const cos = Math.cos(m * phi);
+        const sin = Math.sin(m * phi);
+        const dP = (legendre(n, m, theta + dTheta) - legendre(n, m, theta - dTheta)) / (2 * dTheta);
+        north += (g * cos + h * sin) * dP;
+        east += (m * (g * sin - h * cos) * legendre(n, m, theta)) / Math.sin(theta);
+    }
+
+    return (Math.atan2(east, north) * 180) / Math.PI;
+}
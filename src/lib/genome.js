@@ -0,0 +1,199 @@
+/**
+ * Flower genome — every shape parameter of the sunflower, generated from a
+ * seed so each pair grows its own flower and both partners see the same one.
+ *
+ * A genome is a plain JSON object: the parameters below plus the seed, which
+ * also feeds the per-petal / per-hair randomness via genomeRandom(). Detail
+ * levels (segments, how many rings and leaves are drawn) stay device-specific.
+ */
+
+export const GENOME_VERSION = 1;
+
+const GENOME_PARAM = 'genome';
+
+// Fibonacci petal counts per ring, most common first
+const RING_COUNTS = [
+    [13, 21, 34],
+    [13, 21, 34],
+    [8, 13, 21],
+    [21, 34, 55],
+];
+
+const STEM_HEIGHTS = [-3.5, -2.8, -2.0, -1.2, -0.5, 0];
+
+/** The original hand-tuned flower — shown until a pair exists */
+export const CLASSIC_GENOME = {
+    version: GENOME_VERSION,
+    seed: 0,
+    petal: {
+        rings: [13, 21, 34],
+        radius: 0.33, // innermost ring
+        radiusStep: 0.085,
+        width: 1,
+        length: 0.78,
+        lengthStep: 0.24,
+        tilt: 0.55, // how far the inner ring rises from flat
+        tiltStep: 0.24,
+        curl: 0.06,
+        channel: 0.018,
+        twist: 0.1,
+    },
+    sepal: {
+        length: 0.45,
+        tilt: 0.85,
+    },
+    stem: {
+        points: [[0, -3.5, 0], [0.05, -2.8, 0.04], [-0.03, -2.0, -0.02], [0.04, -1.2, 0.015], [-0.015, -0.5, -0.01], [0, 0, 0]],
+        baseRadius: 0.058,
+        tipRadius: 0.036,
+    },
+    // In drawing priority — low-end devices draw the first few only
+    leaves: [
+        { side: 1, y: -1.2 },
+        { side: -1, y: -2.0 },
+        { side: 1, y: -2.8 },
+        { side: -1, y: -0.6 },
+    ],
+};
+
+/** 32-bit hash of a string (FNV-1a) — turns a pair ID into a seed */
+export function seedFromString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** mulberry32 — small, fast seeded PRNG returning floats in [0, 1) */
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * An independent random stream for one part of the flower, so adding
+ * randomness to one builder never shifts the values another one sees.
+ */
+export function genomeRandom(genome, stream) {
+    return mulberry32(genome.seed ^ seedFromString(stream));
+}
+
+/** A new genome, fully determined by `seed` */
+export function createGenome(seed) {
+    const random = mulberry32(seed);
+    const range = (min, max) => min + random() * (max - min);
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    const rings = RING_COUNTS[Math.floor(random() * RING_COUNTS.length)];
+    const firstLeafSide = random() < 0.5 ? 1 : -1;
+
+    return {
+        version: GENOME_VERSION,
+        seed: seed >>> 0,
+        petal: {
+            rings,
+            radius: round(range(0.31, 0.35)),
+            radiusStep: round(range(0.075, 0.095)),
+            width: round(range(0.85, 1.2)),
+            length: round(range(0.7, 0.88)),
+            lengthStep: round(range(0.18, 0.28)),
+            tilt: round(range(0.45, 0.65)),
+            tiltStep: round(range(0.18, 0.28)),
+            curl: round(range(0.04, 0.09)),
+            channel: round(range(0.012, 0.025)),
+            twist: round(range(0.06, 0.14)),
+        },
+        sepal: {
+            length: round(range(0.4, 0.5)),
+            tilt: round(range(0.75, 0.95)),
+        },
+        stem: {
+            // Pinned at the ground and at the flower head, wandering in between
+            points: STEM_HEIGHTS.map((y, i) => (i === 0 || i === STEM_HEIGHTS.length - 1
+                ? [0, y, 0]
+                : [round(range(-0.05, 0.05)), y, round(range(-0.04, 0.04))])),
+            baseRadius: round(range(0.052, 0.064)),
+            tipRadius: round(range(0.032, 0.04)),
+        },
+        leaves: [-1.2, -2.0, -2.8, -0.6].map((y, i) => ({
+            side: i % 2 === 0 ? firstLeafSide : -firstLeafSide,
+            y: round(y + range(-0.15, 0.15)),
+        })),
+    };
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isValidGenome(genome) {
+    return genome?.version === GENOME_VERSION
+        && isNumber(genome.seed)
+        && Array.isArray(genome.petal?.rings)
+        && genome.petal.rings.every((n) => Number.isInteger(n) && n > 0 && n <= 89)
+        && ['radius', 'radiusStep', 'width', 'length', 'lengthStep', 'tilt', 'tiltStep', 'curl', 'channel', 'twist']
+            .every((key) => isNumber(genome.petal[key]))
+        && isNumber(genome.sepal?.length) && isNumber(genome.sepal?.tilt)
+        && Array.isArray(genome.stem?.points) && genome.stem.points.length >= 2
+        && genome.stem.points.every((p) => Array.isArray(p) && p.length === 3 && p.every(isNumber))
+        && isNumber(genome.stem.baseRadius) && isNumber(genome.stem.tipRadius)
+        && Array.isArray(genome.leaves)
+        && genome.leaves.every((leaf) => (leaf.side === 1 || leaf.side === -1) && isNumber(leaf.y));
+}
+
+/** Compact, URL-safe string for sharing a genome */
+export function serializeGenome(genome) {
+    return btoa(JSON.stringify(genome))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/** Inverse of serializeGenome — throws on anything that isn't a valid genome */
+export function deserializeGenome(text) {
+    let genome;
+    try {
+        genome = JSON.parse(atob(text.replace(/-/g, '+').replace(/_/g, '/')));
+    } catch {
+        throw new Error('Invalid genome');
+    }
+    if (!isValidGenome(genome)) throw new Error('Invalid genome');
+    return genome;
+}
+
+/** The genome a pair grows — the same on both partners' devices */
+export function getPairGenome(pairId) {
+    return pairId ? createGenome(seedFromString(pairId)) : CLASSIC_GENOME;
+}
+
+/** Link that reproduces `genome` on any device */
+export function getGenomeLink(genome) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(GENOME_PARAM, serializeGenome(genome));
+    return url.toString();
+}
+
+// A `?genome=` link shows that exact flower instead of the pair's own
+function readGenomeFromUrl() {
+    if (typeof window === 'undefined') return null;
+    const param = new URLSearchParams(window.location.search).get(GENOME_PARAM);
+    if (!param) return null;
+    try {
+        return deserializeGenome(param);
+    } catch (e) {
+        console.warn('[Sunflower] Ignoring genome link:', e.message);
+        return null;
+    }
+}
+
+export const SHARED_GENOME = readGenomeFromUrl();
@@ -0,0 +1,58 @@
+/**
+ * A pair's genome must come out the same on both phones and survive a
+ * share link. Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CLASSIC_GENOME,
+    createGenome,
+    deserializeGenome,
+    genomeRandom,
+    getPairGenome,
+    serializeGenome,
+} from './genome.js';
+
+test('the same seed always grows the same genes', () => {
+    assert.deepEqual(createGenome(12345), createGenome(12345));
+    assert.deepEqual(getPairGenome('ABCDEFGH'), getPairGenome('ABCDEFGH'));
+});
+
+test('different seeds grow different flowers', () => {
+    assert.notDeepEqual(createGenome(1), createGenome(2));
+    assert.notDeepEqual(getPairGenome('ABCDEFGH'), getPairGenome('ABCDEFGJ'));
+});
+
+test('an unpaired flower is the classic one', () => {
+    assert.equal(getPairGenome(null), CLASSIC_GENOME);
+});
+
+test('per-part random streams repeat for a genome and differ between parts', () => {
+    const genome = createGenome(42);
+    const draw = (stream) => {
+        const random = genomeRandom(genome, stream);
+        return [random(), random(), random()];
+    };
+    assert.deepEqual(draw('petals'), draw('petals'));
+    assert.notDeepEqual(draw('petals'), draw('sepals'));
+});
+
+test('serialize → deserialize gives back the same genome', () => {
+    for (const genome of [CLASSIC_GENOME, createGenome(7), createGenome(0xffffffff)]) {
+        const text = serializeGenome(genome);
+        assert.match(text, /^[A-Za-z0-9_-]+$/, 'URL-safe');
+        assert.deepEqual(deserializeGenome(text), genome);
+    }
+});
+
+test('deserialize refuses anything that is not a valid genome', () => {
+    assert.throws(() => deserializeGenome('not base64!'), /Invalid genome/);
+    assert.throws(() => deserializeGenome(serializeGenome({ version: 1, seed: 1 })), /Invalid genome/);
+
+    const wrongVersion = { ...createGenome(7), version: 99 };
+    assert.throws(() => deserializeGenome(serializeGenome(wrongVersion)), /Invalid genome/);
+
+    const badRings = createGenome(7);
+    badRings.petal.rings = [13, -1, 34];
+    assert.throws(() => deserializeGenome(serializeGenome(badRings)), /Invalid genome/);
+});
@@ -0,0 +1,62 @@
+/**
+ * Flower gestures — tapping a petal makes it flutter, stroking the disc
+ * makes it glow, long-pressing plucks a petal ("loves me, loves me not").
+ *
+ * Every gesture goes through this bus: local ones are played on our
+ * flowers and sent to the partner, and theirs arrive here too, so both
+ * flowers react to either person's touch.
+ *
+ * Gesture shapes:
+ *   { kind: 'flutter', ring, index }
+ *   { kind: 'pluck', ring, index, lovesMe }
+ *   { kind: 'glow', intensity }   0-1
+ * Listeners also receive `fromPartner`.
+ */
+import { sendPairEvent, subscribePairEvents } from './locationStore';
+
+const GESTURE_EVENT = 'gesture';
+const KINDS = ['flutter', 'pluck', 'glow'];
+
+/** Timings shared by every flower that plays a gesture (ms) */
+export const FLUTTER_MS = 1200;
+export const PETAL_FALL_MS = 4000;
+export const PETAL_REGROW_AFTER_MS = 2 * 60 * 1000;
+export const PETAL_REGROW_MS = 3000;
+
+const listeners = new Set();
+
+// Alternates with each of our plucks this session
+let pluckCount = 0;
+
+function dispatch(gesture) {
+    listeners.forEach((cb) => cb(gesture));
+}
+
+/** Play a gesture locally and send it to the partner */
+export function performGesture(gesture) {
+    const next = gesture.kind === 'pluck'
+        ? { ...gesture, lovesMe: pluckCount++ % 2 === 0 }
+        : gesture;
+
+    dispatch({ ...next, fromPartner: false });
+    sendPairEvent(GESTURE_EVENT, next);
+    return next;
+}
+
+/** cb(gesture) for every gesture, ours or the partner's. Returns an unsubscribe. */
+export function subscribeGestures(cb) {
+    listeners.add(cb);
+    return () => listeners.delete(cb);
+}
+
+function isValidGesture(event) {
+    if (!KINDS.includes(event.kind)) return false;
+    if (event.kind === 'glow') return typeof event.intensity === 'number';
+    return Number.isInteger(event.ring) && Number.isInteger(event.index);
+}
+
+subscribePairEvents((event) => {
+    if (event.type !== GESTURE_EVENT || !isValidGesture(event)) return;
+    const { kind, ring, index, lovesMe, intensity } = event;
+    dispatch({ kind, ring, index, lovesMe: !!lovesMe, intensity, fromPartner: true });
+});
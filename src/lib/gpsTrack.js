@@ -0,0 +1,70 @@
+/**
+ * GPS tracks — recorded walks to replay through the dev simulation.
+ * A track is { name, points: [{ lat, lon, t }], duration }, t in ms from
+ * the first point.
+ *
+ * Accepted files:
+ *   .gpx   <trkpt lat lon> (or <rtept>/<wpt>), timed by their <time>
+ *   .json  [{ lat, lon, t?|time? }] or { points: [...] } — also lng/longitude
+ * Points without a time are spaced UNTIMED_STEP_MS apart.
+ */
+
+const UNTIMED_STEP_MS = 1000;
+
+function parseGpx(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('Invalid GPX file');
+
+    let nodes = doc.getElementsByTagName('trkpt');
+    if (nodes.length === 0) nodes = doc.getElementsByTagName('rtept');
+    if (nodes.length === 0) nodes = doc.getElementsByTagName('wpt');
+
+    return Array.from(nodes, (node) => ({
+        lat: parseFloat(node.getAttribute('lat')),
+        lon: parseFloat(node.getAttribute('lon')),
+        time: node.getElementsByTagName('time')[0]?.textContent,
+    }));
+}
+
+function parseJson(text) {
+    const data = JSON.parse(text);
+    const points = Array.isArray(data) ? data : data?.points;
+    if (!Array.isArray(points)) throw new Error('Expected an array of points');
+
+    return points.map((p) => ({
+        lat: Number(p.lat ?? p.latitude),
+        lon: Number(p.lon ?? p.lng ?? p.longitude),
+        t: typeof p.t === 'number' ? p.t : undefined,
+        time: p.time ?? p.timestamp,
+    }));
+}
+
+/** Parse a .gpx or .json track. Throws with a readable message on bad input. */
+export function parseTrack(text, name = 'track') {
+    const raw = /\.gpx$/i.test(name) || text.trimStart().startsWith('<') ? parseGpx(text) : parseJson(text);
+    const valid = raw.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    if (valid.length < 2) throw new Error('A track needs at least two points');
+
+    // Absolute times become offsets from the first point; missing ones are spaced evenly
+    const startTime = Date.parse(valid[0].time);
+    let previous = -UNTIMED_STEP_MS;
+    const points = valid.map((p) => {
+        let t = p.t ?? (p.time != null ? Date.parse(p.time) - startTime : NaN);
+        if (!Number.isFinite(t) || t <= previous) t = previous + UNTIMED_STEP_MS;
+        previous = t;
+        return { lat: p.lat, lon: p.lon, t };
+    });
+
+    return { name, points, duration: points[points.length - 1].t };
+}
+
+/** Position `ms` into the track, looping at the end: { lat, lon } */
+export function positionOnTrack(track, ms) {
+    const { points, duration } = track;
+    const t = ((ms % duration) + duration) % duration;
+    const i = Math.max(1, points.findIndex((p) => p.t >= t));
+    const a = points[i - 1];
+    const b = points[i];
+    const f = (t - a.t) / (b.t - a.t);
+    return { lat: a.lat + (b.lat - a.lat) * f, lon: a.lon + (b.lon - a.lon) * f };
+}
@@ -0,0 +1,301 @@
+/**
+ * Flower growth — the sunflower grows from seedling to a seed-heavy head
+ * with the minutes both partners spend present together, and slowly
+ * regresses when they stay apart.
+ *
+ * Growth is stored per pair as { pairId, minutes, lastTogetherAt }: the
+ * minutes banked as of the last time together. Neglect is applied on read,
+ * so nothing needs to run while the app is closed. Saved in localStorage,
+ * and in Supabase when configured.
+ *
+ * The anon key is public, so the table is closed to it by row-level
+ * security and only reachable through a function that checks the pair's
+ * token — a hash of the pairing secret, which only the two devices know
+ * (see pairing.js) — and keeps whichever whole row, stored or sent, is
+ * further along once neglect is taken off (growthNeglect.js; the 24 h grace
+ * and 1 minute an hour below must match it):
+ *
+ *   create table flower_growth (
+ *       pair_id text primary key,
+ *       token text not null,
+ *       minutes double precision not null,
+ *       last_together_at timestamptz not null,
+ *       updated_at timestamptz not null default now()
+ *   );
+ *   -- No policies: the anon role can't read or write rows directly
+ *   alter table flower_growth enable row level security;
+ *
+ *   create function sync_flower_growth(
+ *       p_pair_id text, p_token text, p_minutes double precision, p_last_together_at timestamptz
+ *   ) returns table (minutes double precision, last_together_at timestamptz)
+ *   language plpgsql security definer set search_path = public as $$
+ *   begin
+ *       insert into flower_growth as g (pair_id, token, minutes, last_together_at)
+ *       values (p_pair_id, p_token, p_minutes, p_last_together_at)
+ *       on conflict (pair_id) do update set
+ *           minutes = excluded.minutes,
+ *           last_together_at = excluded.last_together_at,
+ *           updated_at = now()
+ *       where g.token = excluded.token
+ *           and greatest(excluded.minutes - greatest(
+ *                   extract(epoch from now() - excluded.last_together_at) / 3600 - 24, 0) * 1, 0)
+ *               > greatest(g.minutes - greatest(
+ *                   extract(epoch from now() - g.last_together_at) / 3600 - 24, 0) * 1, 0);
+ *       return query select g.minutes, g.last_together_at from flower_growth g
+ *           where g.pair_id = p_pair_id and g.token = p_token;
+ *   end $$;
+ *   revoke execute on function sync_flower_growth from public;
+ *   grant execute on function sync_flower_growth to anon;
+ *
+ * Both partners sync the same row and adopt what comes back when it is
+ * further along than their own, so the side with more growth left after
+ * neglect wins. Pairings made before pairing secrets existed
+ * stay local.
+ */
+import { supabase, isSupabaseConfigured } from './supabaseClient';
+import { getPairing, subscribePairing } from './pairing';
+import { getLocationSnapshot, subscribeLocation } from './locationStore';
+import { effectiveMinutes, pickFurtherGrowth } from './growthNeglect';
+
+const GROWTH_KEY = 'sunflower-growth';
+const GROWTH_SYNC_FUNCTION = 'sync_flower_growth';
+
+const TICK_MS = 30 * 1000;
+const REMOTE_SYNC_MS = 5 * 60 * 1000;
+
+/** Minutes together needed to reach each stage */
+export const GROWTH_STAGES = [
+    { id: 'seedling', label: 'Seedling', minutes: 0 },
+    { id: 'bud', label: 'Bud', minutes: 15 },
+    { id: 'opening', label: 'Opening', minutes: 60 },
+    { id: 'bloom', label: 'Full bloom', minutes: 180 },
+    { id: 'seed', label: 'Heavy with seed', minutes: 720 },
+];
+
+/** Growth progress of a full bloom — what an unpaired flower shows */
+export const BLOOM_PROGRESS = GROWTH_STAGES.findIndex((s) => s.id === 'bloom');
+
+/* ---------- growth maths ---------- */
+
+/**
+ * Continuous stage index: 0 seedling → 4 seed-heavy, fractional in between,
+ * so the flower can morph smoothly from one stage to the next.
+ */
+export function getGrowthProgress(minutes) {
+    const last = GROWTH_STAGES.length - 1;
+    if (minutes >= GROWTH_STAGES[last].minutes) return last;
+
+    const i = GROWTH_STAGES.findIndex((s) => s.minutes > minutes);
+    const lo = GROWTH_STAGES[i - 1];
+    const hi = GROWTH_STAGES[i];
+    return i - 1 + (minutes - lo.minutes) / (hi.minutes - lo.minutes);
+}
+
+// How each part of the flower looks at each stage — interpolated by progress.
+// Sizes are scale factors; petalFold folds petals up (positive) or lets them
+// wilt outward (negative); seedDroop bows the head under its own weight.
+const STAGE_POSES = [
+    { plant: 0.35, stemGirth: 0.5, head: 0.25, petalScale: 0, petalFold: 1, disc: 0.4, seedDroop: 0, leaves: 1 },
+    { plant: 0.6, stemGirth: 0.7, head: 0.55, petalScale: 0.45, petalFold: 1, disc: 0.6, seedDroop: 0, leaves: 2 },
+    { plant: 0.85, stemGirth: 0.9, head: 0.85, petalScale: 0.85, petalFold: 0.45, disc: 0.85, seedDroop: 0, leaves: 3 },
+    { plant: 1, stemGirth: 1, head: 1, petalScale: 1, petalFold: 0, disc: 1, seedDroop: 0, leaves: 4 },
+    { plant: 1.05, stemGirth: 1.1, head: 1.05, petalScale: 0.85, petalFold: -0.35, disc: 1.15, seedDroop: 0.45, leaves: 4 },
+];
+
+const POSE_FIELDS = Object.keys(STAGE_POSES[0]);
+
+/** Per-part sizes and angles for a growth progress (see getGrowthProgress) */
+export function getGrowthPose(progress) {
+    const clamped = Math.min(Math.max(progress, 0), STAGE_POSES.length - 1);
+    const i = Math.min(Math.floor(clamped), STAGE_POSES.length - 2);
+    const t = clamped - i;
+
+    const pose = {};
+    for (const field of POSE_FIELDS) {
+        pose[field] = STAGE_POSES[i][field] + (STAGE_POSES[i + 1][field] - STAGE_POSES[i][field]) * t;
+    }
+    return pose;
+}
+
+/* ---------- persistence ---------- */
+
+function readLocal(pairId) {
+    try {
+        const record = JSON.parse(localStorage.getItem(GROWTH_KEY));
+        if (record?.pairId === pairId) return record;
+    } catch (e) {
+        console.warn('[Sunflower] Corrupt growth record, starting over:', e);
+    }
+    return { pairId, minutes: 0, lastTogetherAt: Date.now() };
+}
+
+function writeLocal(record) {
+    localStorage.setItem(GROWTH_KEY, JSON.stringify(record));
+}
+
+let remoteWarned = false;
+
+function warnRemote(err) {
+    // The table may simply not exist on this project — say so once
+    if (remoteWarned) return;
+    remoteWarned = true;
+    console.warn('[Sunflower] Growth sync unavailable:', err.message ?? err);
+}
+
+/** Proves to the sync function that we're in the pair, without sending the secret */
+async function getGrowthToken(pair) {
+    const digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(`flower-growth:${pair.id}:${pair.secret}`)
+    );
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Send our record and get back the pair's stored one — ours or the
+ * partner's, whichever is further along — or null when the token doesn't match.
+ */
+async function syncRemote(pair, record) {
+    const { data, error } = await supabase.rpc(GROWTH_SYNC_FUNCTION, {
+        p_pair_id: pair.id,
+        p_token: await getGrowthToken(pair),
+        p_minutes: record.minutes,
+        p_last_together_at: new Date(record.lastTogetherAt).toISOString(),
+    });
+    if (error) throw error;
+    const row = data?.[0];
+    return row ? { pairId: pair.id, minutes: row.minutes, lastTogetherAt: Date.parse(row.last_together_at) } : null;
+}
+
+/* ---------- store ---------- */
+
+let record = null;
+// Whether the partner is present right now — time only counts while it is
+let together = false;
+let snapshot = {
+    minutes: 0,
+    progress: BLOOM_PROGRESS,
+    stage: GROWTH_STAGES[BLOOM_PROGRESS].id,
+    isGrowing: false,
+};
+
+const listeners = new Set();
+
+function publish() {
+    const isGrowing = record != null && together;
+    if (!record) {
+        snapshot = { minutes: 0, progress: BLOOM_PROGRESS, stage: GROWTH_STAGES[BLOOM_PROGRESS].id, isGrowing };
+    } else {
+        const minutes = effectiveMinutes(record, Date.now());
+        const progress = getGrowthProgress(minutes);
+        snapshot = { minutes, progress, stage: GROWTH_STAGES[Math.floor(progress)].id, isGrowing };
+    }
+    listeners.forEach((cb) => cb());
+}
+
+function start() {
+    let lastTick = Date.now();
+    let lastRemoteSync = 0;
+
+    // Share our record, and adopt the merged one if the partner grew it further
+    const sync = () => {
+        const pair = getPairing();
+        if (!isSupabaseConfigured || !record || !pair?.secret || pair.id !== record.pairId) return;
+        lastRemoteSync = Date.now();
+        syncRemote(pair, record)
+            .then((remote) => {
+                if (!remote || remote.pairId !== record?.pairId) return;
+                if (pickFurtherGrowth(record, remote, Date.now()) === remote) {
+                    record = remote;
+                    writeLocal(record);
+                    publish();
+                }
+            })
+            .catch(warnRemote);
+    };
+
+    // Load the pair's record, then sync it
+    const syncPairing = () => {
+        const pairId = getPairing()?.id ?? null;
+        if (pairId === (record?.pairId ?? null)) return;
+
+        record = pairId ? readLocal(pairId) : null;
+        publish();
+        sync();
+    };
+
+    const tick = () => {
+        const now = Date.now();
+        // Cap the step so a suspended tab doesn't count as time together
+        const elapsed = Math.min(now - lastTick, TICK_MS * 2);
+        lastTick = now;
+
+        if (record && together) {
+            record = {
+                ...record,
+                minutes: effectiveMinutes(record, now) + elapsed / 60000,
+                lastTogetherAt: now,
+            };
+            writeLocal(record);
+            if (now - lastRemoteSync > REMOTE_SYNC_MS) sync();
+        }
+        publish();
+    };
+
+    // Partner arriving or leaving: settle the time up to now under the old
+    // state, then switch — and share the total when they leave
+    // A simulated partner (dev mode) doesn't count
+    const isTogether = () => {
+        const { hasPartner, isSimulated } = getLocationSnapshot();
+        return hasPartner && !isSimulated;
+    };
+
+    const syncPresence = () => {
+        const present = isTogether();
+        if (present === together) return;
+        tick();
+        together = present;
+        publish();
+        if (!together) sync();
+    };
+
+    const unsubscribePairing = subscribePairing(syncPairing);
+    const unsubscribeLocation = subscribeLocation(syncPresence);
+    const interval = setInterval(tick, TICK_MS);
+    together = isTogether();
+    syncPairing();
+
+    return () => {
+        clearInterval(interval);
+        unsubscribeLocation();
+        unsubscribePairing();
+        sync();
+    };
+}
+
+let running = null;
+let pendingStop = null;
+
+export function subscribeGrowth(cb) {
+    listeners.add(cb);
+
+    clearTimeout(pendingStop);
+    if (!running) running = start();
+
+    return () => {
+        listeners.delete(cb);
+        if (listeners.size > 0) return;
+
+        // Defer teardown a tick so a remount (StrictMode, HMR) keeps counting
+        pendingStop = setTimeout(() => {
+            if (listeners.size === 0 && running) {
+                running();
+                running = null;
+            }
+        }, 0);
+    };
+}
+
+export function getGrowthSnapshot() {
+    return snapshot;
+}
@@ -0,0 +1,26 @@
+/**
+ * Growth neglect — how banked minutes fade while a pair stays apart, and
+ * which of two growth records is further along. Pure, so it runs anywhere;
+ * the Supabase sync function in growth.js applies the same rule.
+ */
+
+// Apart for longer than this, the flower starts to regress...
+export const NEGLECT_GRACE_MS = 24 * 60 * 60 * 1000;
+// ...losing this many minutes of growth per hour apart
+export const NEGLECT_MINUTES_PER_HOUR = 1;
+
+/** Banked minutes minus whatever neglect has cost since the last time together */
+export function effectiveMinutes(record, now) {
+    const apartMs = Math.max(now - record.lastTogetherAt - NEGLECT_GRACE_MS, 0);
+    const lost = (apartMs / 3600000) * NEGLECT_MINUTES_PER_HOUR;
+    return Math.max(record.minutes - lost, 0);
+}
+
+/**
+ * Whichever whole record is further along at `now` — `current` on a tie.
+ * Never mixes fields: old minutes with a newer time together would undo
+ * the neglect in between.
+ */
+export function pickFurtherGrowth(current, incoming, now) {
+    return effectiveMinutes(incoming, now) > effectiveMinutes(current, now) ? incoming : current;
+}
@@ -0,0 +1,42 @@
+/**
+ * Neglect and the rule for merging two growth records. Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NEGLECT_GRACE_MS, effectiveMinutes, pickFurtherGrowth } from './growthNeglect.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2024, 5, 15, 12);
+
+test('nothing is lost within the grace period', () => {
+    assert.equal(effectiveMinutes({ minutes: 300, lastTogetherAt: NOW - NEGLECT_GRACE_MS }, NOW), 300);
+});
+
+test('past the grace period a minute is lost per hour apart, down to zero', () => {
+    assert.equal(effectiveMinutes({ minutes: 300, lastTogetherAt: NOW - 3 * DAY }, NOW), 300 - 48);
+    assert.equal(effectiveMinutes({ minutes: 10, lastTogetherAt: NOW - 30 * DAY }, NOW), 0);
+});
+
+test('old minutes are not revived by a newer time together', () => {
+    // Banked 300, then three days apart — 252 left when they meet again
+    const stored = { minutes: 300, lastTogetherAt: NOW - 3 * DAY };
+    const rejoined = { minutes: 252.5, lastTogetherAt: NOW };
+    assert.equal(pickFurtherGrowth(stored, rejoined, NOW), rejoined);
+    assert.equal(pickFurtherGrowth(rejoined, stored, NOW), rejoined);
+});
+
+test('the record further along after neglect wins whole', () => {
+    const apart = { minutes: 420, lastTogetherAt: NOW - 5 * DAY }; // 324 left
+    const recent = { minutes: 310, lastTogetherAt: NOW - HOUR };
+    assert.equal(pickFurtherGrowth(recent, apart, NOW), apart);
+    assert.equal(pickFurtherGrowth(apart, recent, NOW), apart);
+    // A few more days apart and the recent one is further along
+    assert.equal(pickFurtherGrowth(apart, recent, NOW + 2 * DAY), recent);
+});
+
+test('a tie keeps the current record', () => {
+    const current = { minutes: 100, lastTogetherAt: NOW };
+    const incoming = { minutes: 100, lastTogetherAt: NOW - HOUR };
+    assert.equal(pickFurtherGrowth(current, incoming, NOW), current);
+});
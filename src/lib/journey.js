@@ -0,0 +1,187 @@
+/**
+ * Journey log — a history of the distance between us, sampled while she is
+ * present and kept in IndexedDB on this device for RETENTION_MS. Like the
+ * last-seen position it stays local: each partner keeps their own log.
+ *
+ * Samples are { pairId, t, distance, accuracy } — t in ms, distance in
+ * metres as usePartnerLocation computes it. From them (journeyStats.js):
+ *   closestToday   { distance, t } nearest since local midnight, or null
+ *   nearTodayMs    time within NEAR_METERS of each other today
+ *   nearTotalMs    ...over the whole log
+ *   longestApartMs longest stretch between two times within NEAR_METERS
+ *                  (or since the last one), null if never that close
+ */
+import { getPairing, subscribePairing } from './pairing';
+import { getLocationSnapshot, subscribeLocation } from './locationStore';
+import { computeJourneyStats } from './journeyStats';
+
+export { MAX_GAP_MS, NEAR_METERS } from './journeyStats';
+
+const DB_NAME = 'sunflower';
+const DB_VERSION = 1;
+const STORE = 'journey';
+
+// A sample a minute, sooner when the distance moves by more than a tenth
+const SAMPLE_MS = 60 * 1000;
+const MIN_SAMPLE_MS = 15 * 1000;
+const SIGNIFICANT_CHANGE = 0.1;
+export const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// The timeline covers the last day
+export const TIMELINE_MS = 24 * 60 * 60 * 1000;
+
+/* ---------- IndexedDB ---------- */
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { autoIncrement: true });
+                store.createIndex('t', 't');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+function transaction(mode, run) {
+    return openDb().then((db) => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const result = run(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(result?.result);
+        tx.onerror = () => reject(tx.error);
+    }));
+}
+
+function addSample(sample) {
+    return transaction('readwrite', (store) => store.add(sample));
+}
+
+function readSamples(pairId, since) {
+    return transaction('readonly', (store) => store.index('t').getAll(IDBKeyRange.lowerBound(since)))
+        .then((samples) => samples.filter((s) => s.pairId === pairId));
+}
+
+function pruneSamples(before) {
+    return transaction('readwrite', (store) => {
+        const request = store.index('t').openCursor(IDBKeyRange.upperBound(before, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+        return request;
+    });
+}
+
+/* ---------- store ---------- */
+
+const EMPTY_STATS = computeJourneyStats([]);
+
+let pairId = null;
+// The whole retained log for the current pair, oldest first
+let samples = [];
+let snapshot = { ready: false, timeline: [], stats: EMPTY_STATS };
+
+const listeners = new Set();
+
+function publish(ready = true) {
+    const now = Date.now();
+    snapshot = {
+        ready,
+        timeline: samples.filter((s) => s.t >= now - TIMELINE_MS),
+        stats: computeJourneyStats(samples, now),
+    };
+    listeners.forEach((cb) => cb());
+}
+
+function start() {
+    let lastSample = null;
+
+    const load = () => {
+        const nextId = getPairing()?.id ?? null;
+        if (nextId === pairId) return;
+        pairId = nextId;
+        samples = [];
+        lastSample = null;
+        publish(false);
+        if (!pairId) return;
+
+        const loadingId = pairId;
+        const since = Date.now() - RETENTION_MS;
+        pruneSamples(since)
+            .then(() => readSamples(loadingId, since))
+            .then((loaded) => {
+                if (loadingId !== pairId) return;
+                // Keep anything recorded while loading
+                samples = [...loaded, ...samples].sort((a, b) => a.t - b.t);
+                publish();
+            })
+            .catch((e) => console.warn('[Sunflower] Journey log unavailable:', e));
+    };
+
+    const record = () => {
+        const { hasPartner, isSimulated, distance, distanceAccuracy } = getLocationSnapshot();
+        if (!pairId || !hasPartner || isSimulated || distance == null) return;
+
+        const now = Date.now();
+        if (lastSample) {
+            const elapsed = now - lastSample.t;
+            const change = Math.abs(distance - lastSample.distance) / Math.max(lastSample.distance, 1);
+            if (elapsed < MIN_SAMPLE_MS) return;
+            if (elapsed < SAMPLE_MS && change < SIGNIFICANT_CHANGE) return;
+        }
+
+        const sample = { pairId, t: now, distance, accuracy: distanceAccuracy };
+        lastSample = sample;
+        samples = [...samples, sample];
+        publish(snapshot.ready);
+        addSample(sample).catch((e) => console.warn('[Sunflower] Could not save journey sample:', e));
+    };
+
+    const unsubscribePairing = subscribePairing(load);
+    const unsubscribeLocation = subscribeLocation(record);
+    // A stationary pair produces no location updates — sample on a clock too
+    const interval = setInterval(record, SAMPLE_MS);
+    load();
+    record();
+
+    return () => {
+        clearInterval(interval);
+        unsubscribeLocation();
+        unsubscribePairing();
+    };
+}
+
+let running = null;
+let pendingStop = null;
+
+export function subscribeJourney(cb) {
+    listeners.add(cb);
+
+    clearTimeout(pendingStop);
+    if (!running) running = start();
+
+    return () => {
+        listeners.delete(cb);
+        if (listeners.size > 0) return;
+
+        // Defer teardown a tick so a remount (StrictMode, HMR) keeps recording
+        pendingStop = setTimeout(() => {
+            if (listeners.size === 0 && running) {
+                running();
+                running = null;
+            }
+        }, 0);
+    };
+}
+
+/** { ready, timeline: samples of the last day, stats } */
+export function getJourneySnapshot() {
+    return snapshot;
+}
@@ -0,0 +1,44 @@
+/**
+ * Journey stats — pure functions over the journey log's samples, kept apart
+ * from the IndexedDB store in journey.js so they run anywhere.
+ */
+
+// Samples further apart than this don't describe the time between them
+export const MAX_GAP_MS = 3 * 60 * 1000;
+export const NEAR_METERS = 100;
+
+function startOfDay(now) {
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+}
+
+/** Stats over samples sorted by time — see the comment in journey.js */
+export function computeJourneyStats(samples, now = Date.now()) {
+    const today = startOfDay(now);
+    let closestToday = null;
+    let nearTodayMs = 0;
+    let nearTotalMs = 0;
+    let longestApartMs = null;
+    let lastNear = null;
+
+    samples.forEach((s, i) => {
+        if (s.t >= today && (!closestToday || s.distance < closestToday.distance)) {
+            closestToday = { distance: s.distance, t: s.t };
+        }
+
+        const prev = samples[i - 1];
+        if (prev && s.t - prev.t <= MAX_GAP_MS && prev.distance <= NEAR_METERS && s.distance <= NEAR_METERS) {
+            nearTotalMs += s.t - prev.t;
+            if (prev.t >= today) nearTodayMs += s.t - prev.t;
+        }
+
+        if (s.distance <= NEAR_METERS) {
+            if (lastNear != null) longestApartMs = Math.max(longestApartMs ?? 0, s.t - lastNear);
+            lastNear = s.t;
+        }
+    });
+    if (lastNear != null) longestApartMs = Math.max(longestApartMs ?? 0, now - lastNear);
+
+    return { closestToday, nearTodayMs, nearTotalMs, longestApartMs };
+}
@@ -0,0 +1,81 @@
+/**
+ * Journey stats over hand-built sample logs. Run with `npm test`.
+ * Times are built from local dates, so "today" follows the machine's zone.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeJourneyStats, MAX_GAP_MS, NEAR_METERS } from './journeyStats.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Mid-June — clear of daylight-saving changes in either hemisphere
+const MIDNIGHT = new Date(2024, 5, 15).getTime();
+
+const at = (t, distance) => ({ pairId: 'ABCDEFGH', t, distance, accuracy: 0 });
+
+test('an empty log has no stats', () => {
+    assert.deepEqual(computeJourneyStats([], MIDNIGHT), {
+        closestToday: null,
+        nearTodayMs: 0,
+        nearTotalMs: 0,
+        longestApartMs: null,
+    });
+});
+
+test('time near each other adds up between consecutive near samples', () => {
+    const start = MIDNIGHT + 10 * HOUR;
+    const samples = [at(start, 20), at(start + MINUTE, 30), at(start + 2 * MINUTE, 50)];
+    const stats = computeJourneyStats(samples, start + 2 * MINUTE);
+    assert.equal(stats.nearTodayMs, 2 * MINUTE);
+    assert.equal(stats.nearTotalMs, 2 * MINUTE);
+});
+
+test('a stretch with one far end is not time near', () => {
+    const start = MIDNIGHT + 10 * HOUR;
+    const samples = [at(start, 20), at(start + MINUTE, NEAR_METERS + 1), at(start + 2 * MINUTE, 20)];
+    assert.equal(computeJourneyStats(samples, start + 2 * MINUTE).nearTotalMs, 0);
+});
+
+test('a gap longer than MAX_GAP_MS splits time near', () => {
+    const start = MIDNIGHT + 10 * HOUR;
+    const samples = [
+        at(start, 10),
+        at(start + MINUTE, 10),
+        at(start + MINUTE + MAX_GAP_MS + 1, 10),
+        at(start + 2 * MINUTE + MAX_GAP_MS + 1, 10),
+    ];
+    assert.equal(computeJourneyStats(samples, start + HOUR).nearTotalMs, 2 * MINUTE);
+
+    const exactlyMax = [at(start, 10), at(start + MAX_GAP_MS, 10)];
+    assert.equal(computeJourneyStats(exactlyMax, start + HOUR).nearTotalMs, MAX_GAP_MS, 'a gap of exactly MAX_GAP_MS still counts');
+});
+
+test('today starts at local midnight', () => {
+    const samples = [
+        at(MIDNIGHT - 2 * MINUTE, 5),
+        at(MIDNIGHT - MINUTE, 10),
+        at(MIDNIGHT, 40),
+        at(MIDNIGHT + MINUTE, 30),
+        at(MIDNIGHT + 2 * MINUTE, 500),
+    ];
+    const stats = computeJourneyStats(samples, MIDNIGHT + HOUR);
+    assert.deepEqual(stats.closestToday, { distance: 30, t: MIDNIGHT + MINUTE });
+    // The stretch that straddles midnight began yesterday, so it isn't today's
+    assert.equal(stats.nearTodayMs, MINUTE);
+    assert.equal(stats.nearTotalMs, 3 * MINUTE);
+});
+
+test('longest apart counts the gap between near times and the open one since', () => {
+    const start = MIDNIGHT + HOUR;
+    const samples = [at(start, 10), at(start + HOUR, 5000), at(start + 3 * HOUR, 10)];
+
+    // Closed stretch of 3 h is the longest while the open one is shorter
+    assert.equal(computeJourneyStats(samples, start + 4 * HOUR).longestApartMs, 3 * HOUR);
+    // ...until the time since the last near sample outgrows it
+    assert.equal(computeJourneyStats(samples, start + 8 * HOUR).longestApartMs, 5 * HOUR);
+});
+
+test('longest apart is null when never near', () => {
+    const samples = [at(MIDNIGHT + HOUR, 5000), at(MIDNIGHT + 2 * HOUR, 8000)];
+    assert.equal(computeJourneyStats(samples, MIDNIGHT + 3 * HOUR).longestApartMs, null);
+});
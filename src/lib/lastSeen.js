@@ -0,0 +1,42 @@
+/**
+ * Last-seen partner position — the newest location she shared, kept on
+ * this device so the flower still points somewhere meaningful while she
+ * is offline, across reloads too.
+ *
+ * Stored in localStorage only: her coordinates arrive end-to-end sealed,
+ * and a server-side copy would undo that.
+ */
+
+const LAST_SEEN_KEY = 'sunflower-partner-last-seen';
+
+// Presence republishes every 30s — within this, she is as good as here
+const FRESH_MS = 2 * 60 * 1000;
+// ...after which the data fades out over this long
+const FADE_MS = 60 * 60 * 1000;
+
+/** The partner fields saved for a pair, or null */
+export function readLastSeen(pairId) {
+    try {
+        const record = JSON.parse(localStorage.getItem(LAST_SEEN_KEY));
+        if (record?.pairId === pairId && typeof record.partner?.partnerSeenAt === 'number') return record.partner;
+    } catch (e) {
+        console.warn('[Sunflower] Corrupt last-seen record, ignoring:', e);
+    }
+    return null;
+}
+
+/**
+ * Save what we last knew about the partner — the location store's partner
+ * fields: { partnerLat, partnerLon, relayedDistance, relayedBearing,
+ * partnerMode, distanceAccuracy, partnerWeather, partnerHidden, partnerSeenAt }
+ */
+export function writeLastSeen(pairId, partner) {
+    localStorage.setItem(LAST_SEEN_KEY, JSON.stringify({ pairId, partner }));
+}
+
+/** How much to trust a position seen at `seenAt`: 1 fresh → 0 an hour or more old */
+export function getFreshness(seenAt, now = Date.now()) {
+    if (seenAt == null) return 0;
+    const age = now - seenAt - FRESH_MS;
+    return age <= 0 ? 1 : Math.max(1 - age / FADE_MS, 0);
+}
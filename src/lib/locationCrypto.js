@@ -0,0 +1,196 @@
+/**
+ * End-to-end encryption for location payloads.
+ *
+ * Each device owns a long-lived ECDH P-256 key pair (kept in localStorage).
+ * Public keys are exchanged over the pair's presence channel; both sides
+ * derive the same AES-GCM key via ECDH + HKDF. The HKDF salt is the pair ID,
+ * which is also the public channel name — it keeps pairs apart, nothing more.
+ *
+ * The presence channel can't vouch for the keys it carries, so they are
+ * bound at pairing time instead: the invite holds a pairing secret that
+ * never goes over the channel, each side publishes an HMAC of its public
+ * key under that secret, and invite links also carry the inviter's key
+ * fingerprint. A key that fails either check is never pinned, so a relay
+ * that swaps in its own key on first contact gets nothing it can open.
+ *
+ * Every blob carries a timestamp and a per-sender sequence number and is
+ * bound (as GCM additional data) to the pair and the sender, so tampered,
+ * stale, replayed or re-attributed blobs fail to open.
+ */
+
+const DEVICE_KEY = 'sunflower-device-key';
+const HKDF_INFO = 'sunflower-location-v1';
+const BLOB_VERSION = 1;
+
+// Blobs older than this are treated as stale and rejected
+export const MAX_MESSAGE_AGE_MS = 2 * 60 * 1000;
+// Tolerate a little clock skew between the two phones
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const isCryptoAvailable = !!globalThis.crypto?.subtle;
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+function fromBase64(str) {
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+/** Only the public coordinates of a JWK — safe to publish and compare */
+function publicPart(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+export function isSameKey(a, b) {
+    return !!a && !!b && a.x === b.x && a.y === b.y;
+}
+
+function keyBytes(pairId, jwk) {
+    return encoder.encode(`${pairId}:${jwk.x}.${jwk.y}`);
+}
+
+function toBase64Url(bytes) {
+    return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** Short, URL-safe hash of a public key — carried by invite links */
+export async function getKeyFingerprint(jwk) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${jwk.x}.${jwk.y}`));
+    return toBase64Url(digest.slice(0, 16));
+}
+
+function importProofKey(secret) {
+    return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+        'sign',
+        'verify',
+    ]);
+}
+
+/** HMAC of a public key under the pairing secret — published next to the key */
+export async function proveKey(secret, pairId, jwk) {
+    const key = await importProofKey(secret);
+    return toBase64(await crypto.subtle.sign('HMAC', key, keyBytes(pairId, jwk)));
+}
+
+/** Whether `proof` shows the key's owner holds the pairing secret */
+export async function verifyKeyProof(secret, pairId, jwk, proof) {
+    if (typeof proof !== 'string') return false;
+    const key = await importProofKey(secret);
+    try {
+        return await crypto.subtle.verify('HMAC', key, fromBase64(proof), keyBytes(pairId, jwk));
+    } catch {
+        return false;
+    }
+}
+
+let deviceKeysPromise = null;
+
+async function loadOrCreateDeviceKeys() {
+    const stored = localStorage.getItem(DEVICE_KEY);
+    if (stored) {
+        try {
+            const jwk = JSON.parse(stored);
+            const privateKey = await crypto.subtle.importKey('jwk', jwk, ECDH_PARAMS, false, ['deriveBits']);
+            return { privateKey, publicJwk: publicPart(jwk) };
+        } catch (e) {
+            console.warn('[Sunflower] Stored device key unusable, generating a new one:', e);
+        }
+    }
+
+    const pair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+    const jwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    localStorage.setItem(DEVICE_KEY, JSON.stringify(jwk));
+    return { privateKey: pair.privateKey, publicJwk: publicPart(jwk) };
+}
+
+/** This device's ECDH key pair — created once, then reused across sessions */
+export function getDeviceKeys() {
+    if (!deviceKeysPromise) {
+        deviceKeysPromise = loadOrCreateDeviceKeys();
+    }
+    return deviceKeysPromise;
+}
+
+/**
+ * Derive the AES-GCM key shared with the partner.
+ * Both sides get the same key: ECDH is symmetric and the salt is the pair ID.
+ * Only call this for a key that passed the pairing checks above.
+ */
+export async function deriveSharedKey(partnerJwk, pairId) {
+    const { privateKey } = await getDeviceKeys();
+    const partnerKey = await crypto.subtle.importKey('jwk', publicPart(partnerJwk), ECDH_PARAMS, false, []);
+    const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: partnerKey }, privateKey, 256);
+    const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        {
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: encoder.encode(pairId),
+            info: encoder.encode(HKDF_INFO),
+        },
+        hkdfKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function additionalData(pairId, senderId) {
+    return encoder.encode(`${pairId}:${senderId}`);
+}
+
+/**
+ * Encrypt a payload for the partner. `ts` and the sender's `seq` are
+ * stamped on the plaintext so the receiver can reject stale blobs, and
+ * replays — by sequence, since two blobs can be sealed in the same ms.
+ */
+export async function sealPayload(key, payload, { pairId, senderId, seq }) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = encoder.encode(JSON.stringify({ ...payload, ts: Date.now(), seq }));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(pairId, senderId) },
+        key,
+        plaintext
+    );
+    return { v: BLOB_VERSION, iv: toBase64(iv), ct: toBase64(ciphertext) };
+}
+
+/**
+ * Decrypt and validate a blob from the partner.
+ * Throws if it was tampered with, is from the wrong sender, or is stale.
+ * `minSeq` rejects anything sealed before the last accepted blob (replays).
+ */
+export async function openPayload(key, blob, { pairId, senderId, minSeq = 0 }) {
+    if (!blob || blob.v !== BLOB_VERSION || !blob.iv || !blob.ct) {
+        throw new Error('Malformed payload');
+    }
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(blob.iv), additionalData: additionalData(pairId, senderId) },
+            key,
+            fromBase64(blob.ct)
+        );
+    } catch {
+        throw new Error('Payload failed authentication');
+    }
+
+    const payload = JSON.parse(decoder.decode(plaintext));
+    const now = Date.now();
+    if (!Number.isInteger(payload.seq) || payload.seq < minSeq) {
+        throw new Error('Replayed payload');
+    }
+    if (typeof payload.ts !== 'number' || now - payload.ts > MAX_MESSAGE_AGE_MS || payload.ts - now > MAX_CLOCK_SKEW_MS) {
+        throw new Error('Stale payload');
+    }
+    return payload;
+}
@@ -0,0 +1,107 @@
+/**
+ * Sealed blobs must only open for the right pair, sender and moment, and
+ * partner keys only pass with the pairing secret. Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_MESSAGE_AGE_MS,
+    getKeyFingerprint,
+    openPayload,
+    proveKey,
+    sealPayload,
+    verifyKeyProof,
+} from './locationCrypto.js';
+
+const CONTEXT = { pairId: 'ABCDEFGH', senderId: 'sender' };
+
+function makeKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+async function makePublicJwk() {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    return { kty, crv, x, y };
+}
+
+test('a sealed payload opens with the same key and context', async () => {
+    const key = await makeKey();
+    const blob = await sealPayload(key, { lat: 1, lon: 2 }, { ...CONTEXT, seq: 1 });
+    const payload = await openPayload(key, blob, CONTEXT);
+    assert.equal(payload.lat, 1);
+    assert.equal(payload.lon, 2);
+    assert.equal(payload.seq, 1);
+});
+
+test('tampered ciphertext fails authentication', async () => {
+    const key = await makeKey();
+    const blob = await sealPayload(key, { lat: 1 }, { ...CONTEXT, seq: 1 });
+    const bytes = Uint8Array.from(atob(blob.ct), (c) => c.charCodeAt(0));
+    bytes[0] ^= 1;
+    const tampered = { ...blob, ct: btoa(String.fromCharCode(...bytes)) };
+    await assert.rejects(openPayload(key, tampered, CONTEXT), /failed authentication/);
+});
+
+test('a blob bound to another sender or pair does not open', async () => {
+    const key = await makeKey();
+    const blob = await sealPayload(key, { lat: 1 }, { ...CONTEXT, seq: 1 });
+    await assert.rejects(openPayload(key, blob, { ...CONTEXT, senderId: 'someone-else' }), /failed authentication/);
+    await assert.rejects(openPayload(key, blob, { ...CONTEXT, pairId: 'HGFEDCBA' }), /failed authentication/);
+});
+
+test('stale blobs and blobs from too far in the future are rejected', async (t) => {
+    const key = await makeKey();
+    const now = Date.now();
+    const clock = t.mock.method(Date, 'now', () => now);
+
+    const blob = await sealPayload(key, { lat: 1 }, { ...CONTEXT, seq: 1 });
+    clock.mock.mockImplementation(() => now + MAX_MESSAGE_AGE_MS + 1);
+    await assert.rejects(openPayload(key, blob, CONTEXT), /Stale payload/);
+
+    clock.mock.mockImplementation(() => now - MAX_MESSAGE_AGE_MS);
+    await assert.rejects(openPayload(key, blob, CONTEXT), /Stale payload/);
+});
+
+test('a blob sealed before the last accepted one is a replay', async () => {
+    const key = await makeKey();
+    const blob = await sealPayload(key, { type: 'kiss' }, { ...CONTEXT, seq: 4 });
+    await assert.rejects(openPayload(key, blob, { ...CONTEXT, minSeq: 5 }), /Replayed payload/);
+    await assert.rejects(
+        openPayload(key, await sealPayload(key, {}, CONTEXT), CONTEXT),
+        /Replayed payload/,
+        'a blob without a sequence number is refused'
+    );
+});
+
+test('two blobs sealed in the same millisecond are told apart by sequence', async (t) => {
+    const key = await makeKey();
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    const first = await sealPayload(key, { type: 'kiss' }, { ...CONTEXT, seq: 7 });
+    const second = await sealPayload(key, { type: 'hug' }, { ...CONTEXT, seq: 8 });
+    const opened = await openPayload(key, first, CONTEXT);
+    const next = await openPayload(key, second, { ...CONTEXT, minSeq: opened.seq + 1 });
+    assert.equal(next.type, 'hug');
+});
+
+test('key proofs only verify with the same secret, pair and key', async () => {
+    const jwk = await makePublicJwk();
+    const other = await makePublicJwk();
+    const proof = await proveKey('SECRET', CONTEXT.pairId, jwk);
+
+    assert.equal(await verifyKeyProof('SECRET', CONTEXT.pairId, jwk, proof), true);
+    assert.equal(await verifyKeyProof('GUESSED', CONTEXT.pairId, jwk, proof), false);
+    assert.equal(await verifyKeyProof('SECRET', 'HGFEDCBA', jwk, proof), false);
+    assert.equal(await verifyKeyProof('SECRET', CONTEXT.pairId, other, proof), false);
+    assert.equal(await verifyKeyProof('SECRET', CONTEXT.pairId, jwk, undefined), false);
+});
+
+test('fingerprints are stable per key and differ between keys', async () => {
+    const jwk = await makePublicJwk();
+    const other = await makePublicJwk();
+    assert.equal(await getKeyFingerprint(jwk), await getKeyFingerprint({ ...jwk }));
+    assert.notEqual(await getKeyFingerprint(jwk), await getKeyFingerprint(other));
+    assert.match(await getKeyFingerprint(jwk), /^[A-Za-z0-9_-]{22}$/);
+});
@@ -0,0 +1,636 @@
+/**
+ * Location & presence store — the single owner of the GPS watch and the
+ * pair's presence channel.
+ *
+ * `usePartnerLocation` is read from both the Canvas tree and the DOM
+ * overlay; routing every caller through this module means a page load opens
+ * exactly one channel, one `watchPosition` watcher and one presence entry.
+ * Everything starts with the first subscriber and stops after the last.
+ *
+ * The channel is resubscribed with backoff whenever it drops, and right
+ * away when the network or the tab comes back; `connection` tracks where
+ * that stands.
+ */
+import { getDistance, getGreatCircleBearing } from 'geolib';
+import { transport } from './transport';
+import { getPairChannelName, getPairing, subscribePairing, pinPartnerKey } from './pairing';
+import {
+    isCryptoAvailable,
+    getDeviceKeys,
+    deriveSharedKey,
+    sealPayload,
+    openPayload,
+    isSameKey,
+    getKeyFingerprint,
+    proveKey,
+    verifyKeyProof,
+} from './locationCrypto';
+import { getSetting, subscribeSettings } from './settings';
+import { buildLocationPayload, wantsHighAccuracy } from './privacy';
+import { readLastSeen, writeLastSeen } from './lastSeen';
+
+// Persist a stable user ID across refreshes so Supabase presence
+// can distinguish "you" from "her" reliably. It is also bound into
+// every sealed payload as the sender identity.
+function getOrCreateUserId() {
+    const KEY = 'sunflower-user-id';
+    let id = localStorage.getItem(KEY);
+    if (!id) {
+        id = crypto.randomUUID();
+        localStorage.setItem(KEY, id);
+    }
+    return id;
+}
+
+// Tabs sharing one browser's storage (the BroadcastChannel transport) would
+// also share the stored ID — give each page its own there
+const USER_ID = transport?.sharedStorage ? crypto.randomUUID() : getOrCreateUserId();
+
+// Sequence number stamped into every sealed blob. Persisted so it keeps
+// climbing across reloads — the partner drops anything that isn't newer.
+const SEQUENCE_KEY = 'sunflower-seal-seq';
+
+function nextSequence() {
+    const seq = (Number(localStorage.getItem(SEQUENCE_KEY)) || 0) + 1;
+    localStorage.setItem(SEQUENCE_KEY, String(seq));
+    return seq;
+}
+
+// Re-seal and republish periodically so a stationary phone's blob never
+// ages past the receiver's staleness cutoff
+const PRESENCE_REFRESH_MS = 30 * 1000;
+
+// Resubscribe backoff after the channel drops: 1s, 2s, 4s… capped, with jitter
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+function retryDelay(attempt) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+    return delay * (0.75 + Math.random() * 0.5);
+}
+
+/* ---------- state ---------- */
+
+// What GPS and presence report
+let reported = {
+    // Self-location starts null — will be set by geolocation API
+    selfLat: null,
+    selfLon: null,
+    // Partner-location starts null — will be set when a partner appears in presence
+    partnerLat: null,
+    partnerLon: null,
+    // Distance/bearing sent by a partner in distance-only mode (no coordinates)
+    relayedDistance: null,
+    relayedBearing: null,
+    // Partner's privacy mode and how far off their position may be (metres)
+    partnerMode: null,
+    distanceAccuracy: 0,
+    // Partner agreed to have the weather looked up at their position
+    partnerWeather: false,
+    // Partner is present but neither side can compute where they are
+    partnerHidden: false,
+    // When the partner's newest location was sealed (ms). Kept after she
+    // leaves, along with that location — see lib/lastSeen.js
+    partnerSeenAt: null,
+    distance: null,
+    bearing: 0,
+    // Presence channel: 'connecting' (joining), 'live' (subscribed and
+    // publishing), 'degraded' (dropped or failing, retrying with backoff)
+    // or 'offline' (no network, or nothing to connect to)
+    connection: getPairing() != null ? 'connecting' : 'offline',
+    isConnected: false,
+    hasPartner: false,
+    isPaired: getPairing() != null,
+};
+
+// Dev simulation fields laid over the reported ones, or null (lib/simulation.js)
+let overrides = null;
+
+const PARTNER_RESET = {
+    partnerLat: null,
+    partnerLon: null,
+    relayedDistance: null,
+    relayedBearing: null,
+    partnerMode: null,
+    distanceAccuracy: 0,
+    partnerWeather: false,
+    partnerHidden: false,
+    partnerSeenAt: null,
+};
+
+const listeners = new Set();
+
+/** The published snapshot: reported state, simulation overrides, derived fields */
+function derive() {
+    const next = { ...reported, ...overrides, isSimulated: overrides != null };
+
+    // Distance and bearing — computed when both positions are known,
+    // otherwise whatever a distance-only partner told us
+    const hasBothPositions = next.selfLat != null && next.selfLon != null
+        && next.partnerLat != null && next.partnerLon != null;
+    if (hasBothPositions) {
+        const self = { latitude: next.selfLat, longitude: next.selfLon };
+        const partner = { latitude: next.partnerLat, longitude: next.partnerLon };
+        next.distance = getDistance(self, partner);
+        next.bearing = getGreatCircleBearing(self, partner);
+    } else if (next.relayedDistance != null) {
+        next.distance = next.relayedDistance;
+        next.bearing = next.relayedBearing;
+    } else {
+        next.distance = null;
+        next.bearing = 0;
+    }
+    next.isConnected = next.connection === 'live';
+    return next;
+}
+
+let state = derive();
+
+function setState(patch) {
+    reported = { ...reported, ...patch };
+    state = derive();
+    listeners.forEach((cb) => cb());
+}
+
+/* ---------- GPS ---------- */
+
+// Publishes the latest position into the active presence session, if any
+let publishLatest = null;
+// Sends a sealed pair event over the active channel, if any
+let sendLatest = null;
+
+const eventListeners = new Set();
+
+function watchOwnPosition() {
+    if (!navigator.geolocation) {
+        console.warn('[Sunflower] Geolocation not available');
+        return () => {};
+    }
+
+    const watchId = navigator.geolocation.watchPosition(
+        (pos) => {
+            setState({ selfLat: pos.coords.latitude, selfLon: pos.coords.longitude });
+            publishLatest?.();
+        },
+        (err) => console.warn('[Sunflower] Geolocation error:', err),
+        { enableHighAccuracy: wantsHighAccuracy(getSetting('privacyMode')), maximumAge: 5000 }
+    );
+
+    return () => navigator.geolocation.clearWatch(watchId);
+}
+
+/* ---------- presence ---------- */
+
+/** Join the pair's private presence channel. Returns a leave function. */
+function joinPairChannel(pairId) {
+    if (!transport) {
+        console.log('[Sunflower] No presence transport, skipping presence');
+        setState({ connection: 'offline' });
+        return () => {};
+    }
+    if (!isCryptoAvailable) {
+        // Never fall back to plaintext coordinates
+        console.warn('[Sunflower] WebCrypto unavailable (insecure context?), skipping presence');
+        setState({ connection: 'offline' });
+        return () => {};
+    }
+
+    // Until she shows up, point at wherever she was last seen
+    const lastSeen = readLastSeen(pairId);
+    if (lastSeen) {
+        const restored = {};
+        for (const field of Object.keys(PARTNER_RESET)) restored[field] = lastSeen[field] ?? PARTNER_RESET[field];
+        setState(restored);
+    }
+
+    let left = false;
+    // The current channel, replaced on every resubscribe
+    let channel = null;
+    let subscribed = false;
+    let attempt = 0;
+    let retryTimer = null;
+    // Bumped whenever a pending reconnect is superseded
+    let generation = 0;
+    // A position we couldn't publish — sent as soon as the channel is back
+    let queued = false;
+    // Key material for the current partner, the sequence number of the newest
+    // blob accepted from them, and their last shared coordinates (needed to
+    // answer in distance-only mode). Pair events (see sendPairEvent) keep
+    // their own replay cutoff.
+    const session = {
+        sharedKey: null,
+        partnerKey: null,
+        partnerId: null,
+        lastSeq: 0,
+        lastEventSeq: 0,
+        lastResult: false,
+        partnerFix: null,
+    };
+
+    // Publish our public key and its proof, plus a sealed location once a
+    // shared key exists. What goes inside the seal depends on the privacy mode.
+    // Always the latest position — while disconnected it's only queued.
+    const publish = async () => {
+        if (left) return;
+        if (!subscribed) {
+            queued = true;
+            return;
+        }
+        const current = channel;
+        queued = false;
+        // Callers fire and forget (timers, GPS, status changes) — failures
+        // (no crypto.subtle off a secure origin, a transport error) end here
+        try {
+            const { publicJwk } = await getDeviceKeys();
+            const meta = { pk: publicJwk };
+            const secret = getPairing()?.secret;
+            if (secret) meta.proof = await proveKey(secret, pairId, publicJwk);
+
+            const payload = buildLocationPayload(
+                getSetting('privacyMode'),
+                { lat: state.selfLat, lon: state.selfLon },
+                session.partnerFix ?? {}
+            );
+            // Exact positions only — a weather lookup shouldn't undo a blur
+            if (payload?.mode === 'exact' && getSetting('shareWeather')) payload.weather = true;
+            if (session.sharedKey && payload) {
+                meta.loc = await sealPayload(session.sharedKey, payload, {
+                    pairId,
+                    senderId: USER_ID,
+                    seq: nextSequence(),
+                });
+            }
+
+            if (left || current !== channel) return;
+            const result = await current.track(meta);
+            if (left || current !== channel) return;
+            // Subscribed but not getting through — keep the update for the next try
+            if (result !== 'ok') {
+                queued = true;
+                setState({ connection: 'degraded' });
+            } else if (reported.connection !== 'live') {
+                setState({ connection: 'live' });
+            }
+        } catch (e) {
+            console.warn('[Sunflower] Could not publish location:', e);
+            if (left || current !== channel) return;
+            queued = true;
+            setState({ connection: 'degraded' });
+        }
+    };
+
+    // A key we haven't pinned yet must match the invite: the inviter's
+    // fingerprint from an invite link, and a proof made with the pairing
+    // secret. Pairings from before secrets existed fall back to trusting
+    // the first key seen.
+    const checkUnpinnedKey = async (presence) => {
+        const pairing = getPairing();
+        if (pairing?.partnerFingerprint
+            && (await getKeyFingerprint(presence.pk)) !== pairing.partnerFingerprint) {
+            throw new Error('Partner key does not match the invite');
+        }
+        if (pairing?.secret && !(await verifyKeyProof(pairing.secret, pairId, presence.pk, presence.proof))) {
+            throw new Error('Partner key is not vouched for by the invite');
+        }
+    };
+
+    const acceptPartner = async (key, presence) => {
+        if (!presence.pk) return false;
+
+        // Once a key is pinned for this pair, refuse any other
+        const pinned = getPairing()?.partnerKey;
+        if (pinned && !isSameKey(pinned, presence.pk)) {
+            throw new Error('Partner key does not match the paired device');
+        }
+
+        if (!isSameKey(session.partnerKey, presence.pk)) {
+            if (!pinned) await checkUnpinnedKey(presence);
+            if (left) return false;
+            session.sharedKey = await deriveSharedKey(presence.pk, pairId);
+            session.partnerKey = presence.pk;
+            session.lastSeq = 0;
+            session.lastEventSeq = 0;
+            session.partnerFix = null;
+            pinPartnerKey(pairId, presence.pk);
+            // We can now send them a sealed location
+            publish();
+        }
+        session.partnerId = key;
+
+        if (!presence.loc) return false;
+
+        const loc = await openPayload(session.sharedKey, presence.loc, {
+            pairId,
+            senderId: key,
+            minSeq: session.lastSeq,
+        });
+        // Presence re-syncs on every track, ours included — only react to new blobs
+        if (loc.seq === session.lastSeq) return session.lastResult;
+        session.lastSeq = loc.seq;
+        if (left) return false;
+
+        // The sender's seal time, never later than now — it's what "last seen" shows
+        const seen = { partnerSeenAt: Math.min(loc.ts, Date.now()) };
+        let partner;
+        if (loc.lat != null && loc.lon != null) {
+            session.partnerFix = { lat: loc.lat, lon: loc.lon, acc: loc.acc ?? 0 };
+            partner = {
+                ...PARTNER_RESET,
+                ...seen,
+                partnerLat: loc.lat,
+                partnerLon: loc.lon,
+                partnerMode: loc.mode ?? 'exact',
+                distanceAccuracy: loc.acc ?? 0,
+                partnerWeather: (loc.mode ?? 'exact') === 'exact' && loc.weather === true,
+            };
+        } else if (loc.distance != null) {
+            session.partnerFix = null;
+            partner = {
+                ...PARTNER_RESET,
+                ...seen,
+                relayedDistance: loc.distance,
+                relayedBearing: loc.bearing,
+                partnerMode: loc.mode,
+                distanceAccuracy: loc.acc ?? 0,
+            };
+        } else {
+            // Distance-only partner who has nothing to measure from — we're hiding too
+            session.partnerFix = null;
+            partner = { ...PARTNER_RESET, ...seen, partnerMode: loc.mode, partnerHidden: true };
+        }
+        setState(partner);
+        writeLastSeen(pairId, partner);
+        // A distance-only user answers every new partner fix with a fresh measurement
+        if (partner.partnerLat != null && getSetting('privacyMode') === 'distance') publish();
+
+        session.lastResult = true;
+        return true;
+    };
+
+    // Ephemeral events (gestures, signals) — sealed with the same shared key
+    const sendEvent = async (type, data) => {
+        if (!subscribed || left || !session.sharedKey) return false;
+        const current = channel;
+        const blob = await sealPayload(session.sharedKey, { ...data, type }, {
+            pairId,
+            senderId: USER_ID,
+            seq: nextSequence(),
+        });
+        if (left || current !== channel) return false;
+        const result = await current.broadcast('pair-event', { from: USER_ID, blob });
+        return result === 'ok';
+    };
+
+    const receiveEvent = async (payload) => {
+        if (!session.sharedKey || payload?.from !== session.partnerId) return;
+        try {
+            const event = await openPayload(session.sharedKey, payload.blob, {
+                pairId,
+                senderId: payload.from,
+                minSeq: session.lastEventSeq,
+            });
+            // Strictly newer only — a re-sent copy of the last event is a replay
+            if (event.seq <= session.lastEventSeq || left) return;
+            session.lastEventSeq = event.seq;
+            eventListeners.forEach((cb) => cb(event));
+        } catch (e) {
+            console.warn('[Sunflower] Rejected pair event:', e.message);
+        }
+    };
+
+    const onPresenceSync = async (current, presenceState) => {
+        // The pair ID is public, so anyone can join the room: try every other
+        // member until one passes the key checks and shares a location — the
+        // last accepted partner first, so a stranger can't push them out of
+        // the way, and a member that fails or has nothing to show never
+        // stops the rest from being tried
+        const others = Object.entries(presenceState)
+            .filter(([key, presences]) => key !== USER_ID && presences.length > 0)
+            .sort(([a], [b]) => (b === session.partnerId) - (a === session.partnerId));
+
+        let foundPartner = false;
+        for (const [key, presences] of others) {
+            try {
+                foundPartner = await acceptPartner(key, presences[0]);
+                if (foundPartner) break;
+            } catch (e) {
+                console.warn('[Sunflower] Rejected partner location:', e.message);
+            }
+        }
+
+        if (!left && current === channel) setState({ hasPartner: foundPartner });
+    };
+
+    // Tear down the current channel. Resolves once it is gone, so the next
+    // join builds a fresh one instead of reusing it.
+    const closeChannel = () => {
+        const current = channel;
+        channel = null;
+        subscribed = false;
+        return current ? current.leave() : Promise.resolve();
+    };
+
+    // Replace whatever channel we have with a fresh one after `delay` ms
+    const reconnect = (delay) => {
+        const gen = ++generation;
+        clearTimeout(retryTimer);
+        closeChannel().then(() => {
+            if (left || gen !== generation) return;
+            retryTimer = setTimeout(connect, delay);
+        });
+    };
+
+    // The channel errored, timed out or closed under us — the partner's last
+    // known position stays, but they no longer count as present
+    const drop = (status, err) => {
+        console.warn(`[Sunflower] Presence channel ${status}, retrying:`, err?.message ?? '');
+        setState({ connection: navigator.onLine ? 'degraded' : 'offline', hasPartner: false });
+        reconnect(retryDelay(attempt++));
+    };
+
+    const connect = () => {
+        if (left) return;
+        if (!navigator.onLine) {
+            setState({ connection: 'offline', hasPartner: false });
+            return;
+        }
+        setState({ connection: attempt === 0 ? 'connecting' : 'degraded' });
+
+        const current = transport.join(getPairChannelName(pairId), {
+            key: USER_ID,
+            onSync: (presenceState) => onPresenceSync(current, presenceState),
+            onBroadcast: (event, payload) => {
+                if (event === 'pair-event') receiveEvent(payload);
+            },
+            onStatus: async (status, err) => {
+                // Statuses from a channel we already replaced are stale
+                if (left || current !== channel) return;
+                if (status === 'SUBSCRIBED') {
+                    subscribed = true;
+                    attempt = 0;
+                    setState({ connection: 'live' });
+                    if (queued) console.log('[Sunflower] Back online, republishing last known position');
+                    await publish();
+                } else {
+                    drop(status, err);
+                }
+            },
+        });
+        channel = current;
+    };
+
+    // No network: stop retrying until the browser says it's back
+    const handleOffline = () => {
+        ++generation;
+        clearTimeout(retryTimer);
+        closeChannel();
+        setState({ connection: 'offline', hasPartner: false });
+    };
+
+    // Network back, or the tab is visible again (mobile browsers drop sockets
+    // in the background): skip the backoff and resubscribe now
+    const handleResume = () => {
+        if (subscribed || reported.connection === 'connecting') return;
+        attempt = 0;
+        reconnect(0);
+    };
+
+    const handleVisibility = () => {
+        if (document.visibilityState === 'visible') handleResume();
+    };
+
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleResume);
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    publishLatest = publish;
+    sendLatest = sendEvent;
+    const refresh = setInterval(publish, PRESENCE_REFRESH_MS);
+    connect();
+
+    return () => {
+        left = true;
+        clearInterval(refresh);
+        clearTimeout(retryTimer);
+        window.removeEventListener('offline', handleOffline);
+        window.removeEventListener('online', handleResume);
+        document.removeEventListener('visibilitychange', handleVisibility);
+        closeChannel();
+        if (publishLatest === publish) publishLatest = null;
+        if (sendLatest === sendEvent) sendLatest = null;
+        // Leaving the pair — forget everything we knew about the partner
+        setState({ ...PARTNER_RESET, connection: 'offline', hasPartner: false });
+    };
+}
+
+/* ---------- lifecycle ---------- */
+
+let running = null;
+let pendingStop = null;
+
+function start() {
+    let pairId = null;
+    let leaveChannel = () => {};
+
+    // (Re)join whenever the pairing changes — pairing, unpairing or re-pairing
+    const syncPairing = () => {
+        const nextId = getPairing()?.id ?? null;
+        if (nextId === pairId) return;
+
+        leaveChannel();
+        pairId = nextId;
+        setState({ isPaired: pairId != null });
+
+        if (pairId) {
+            leaveChannel = joinPairChannel(pairId);
+        } else {
+            console.log('[Sunflower] Not paired, skipping presence');
+            leaveChannel = () => {};
+        }
+    };
+
+    // A privacy change takes effect immediately: restart the GPS watch if
+    // the accuracy it needs changed, and republish under the new settings
+    let privacyMode = getSetting('privacyMode');
+    let shareWeather = getSetting('shareWeather');
+    const syncPrivacy = () => {
+        const nextMode = getSetting('privacyMode');
+        const nextShareWeather = getSetting('shareWeather');
+        if (nextMode === privacyMode && nextShareWeather === shareWeather) return;
+
+        if (wantsHighAccuracy(nextMode) !== wantsHighAccuracy(privacyMode)) {
+            stopWatching();
+            stopWatching = watchOwnPosition();
+        }
+        privacyMode = nextMode;
+        shareWeather = nextShareWeather;
+        publishLatest?.();
+    };
+
+    let stopWatching = watchOwnPosition();
+    const unsubscribePairing = subscribePairing(syncPairing);
+    const unsubscribeSettings = subscribeSettings(syncPrivacy);
+    syncPairing();
+
+    return () => {
+        unsubscribeSettings();
+        unsubscribePairing();
+        leaveChannel();
+        stopWatching();
+    };
+}
+
+export function subscribeLocation(cb) {
+    listeners.add(cb);
+
+    clearTimeout(pendingStop);
+    if (!running) running = start();
+
+    return () => {
+        listeners.delete(cb);
+        if (listeners.size > 0) return;
+
+        // Defer teardown a tick so a remount (StrictMode, HMR) reuses the channel
+        pendingStop = setTimeout(() => {
+            if (listeners.size === 0 && running) {
+                running();
+                running = null;
+            }
+        }, 0);
+    };
+}
+
+export function getLocationSnapshot() {
+    return state;
+}
+
+/**
+ * Lay simulated fields over what GPS and presence report (dev mode), or
+ * pass null to go back to the real thing. A simulated self position is
+ * also what gets shared with the partner.
+ */
+export function setLocationOverrides(next) {
+    overrides = next;
+    state = derive();
+    listeners.forEach((cb) => cb());
+}
+
+/**
+ * Send an ephemeral, end-to-end sealed event to the partner.
+ * Resolves false when there's no connected partner to receive it.
+ */
+export async function sendPairEvent(type, data = {}) {
+    if (!sendLatest) return false;
+    try {
+        return await sendLatest(type, data);
+    } catch (e) {
+        console.warn('[Sunflower] Could not send pair event:', e);
+        return false;
+    }
+}
+
+/** Listen for the partner's events: cb({ type, ts, ...data }). Returns an unsubscribe. */
+export function subscribePairEvents(cb) {
+    eventListeners.add(cb);
+    return () => eventListeners.delete(cb);
+}
@@ -0,0 +1,107 @@
+/**
+ * Moon position and phase — low-precision lunar theory (Meeus ch. 47,
+ * truncated to the main terms). Good to roughly a degree, which is plenty
+ * for placing a moon in the sky and shading its phase.
+ *
+ * Angles are in degrees, longitudes east-positive.
+ */
+
+const rad = Math.PI / 180;
+const deg = 180 / Math.PI;
+
+const OBLIQUITY = 23.4397 * rad;
+const SUN_DISTANCE_KM = 149598000;
+
+function daysSinceJ2000(date) {
+    return date.getTime() / 86400000 + 2440587.5 - 2451545;
+}
+
+function equatorial(longitude, latitude) {
+    return {
+        ra: Math.atan2(
+            Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+            Math.cos(longitude)
+        ),
+        dec: Math.asin(
+            Math.sin(latitude) * Math.cos(OBLIQUITY)
+            + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+        ),
+    };
+}
+
+/** Moon right ascension, declination (radians) and distance (km) */
+function moonCoords(d) {
+    const L = (218.316 + 13.176396 * d) * rad; // ecliptic longitude
+    const M = (134.963 + 13.064993 * d) * rad; // mean anomaly
+    const F = (93.272 + 13.22935 * d) * rad; // mean distance
+
+    const longitude = L + 6.289 * rad * Math.sin(M);
+    const latitude = 5.128 * rad * Math.sin(F);
+    const distance = 385001 - 20905 * Math.cos(M);
+
+    return { ...equatorial(longitude, latitude), distance };
+}
+
+/** Sun right ascension and declination (radians) */
+function sunCoords(d) {
+    const M = (357.5291 + 0.98560028 * d) * rad;
+    const C = (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M)) * rad;
+    const perihelion = 102.9372 * rad;
+    const longitude = M + C + perihelion + Math.PI;
+    return equatorial(longitude, 0);
+}
+
+/**
+ * Moon azimuth (0-360, 0=North, clockwise) and elevation above the horizon.
+ */
+export function getMoonPosition(date, lat, lon) {
+    const d = daysSinceJ2000(date);
+    const { ra, dec } = moonCoords(d);
+
+    const siderealTime = (280.16 + 360.9856235 * d) * rad + lon * rad;
+    const H = siderealTime - ra;
+    const phi = lat * rad;
+
+    const elevation = Math.asin(
+        Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)
+    );
+    // Measured from south, westward — shift to north-based, clockwise
+    const azimuthFromSouth = Math.atan2(
+        Math.sin(H),
+        Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+    );
+
+    return {
+        azimuth: ((azimuthFromSouth * deg + 180) % 360 + 360) % 360,
+        elevation: elevation * deg,
+    };
+}
+
+/**
+ * Moon illumination.
+ * fraction: 0 (new) to 1 (full) of the disc lit
+ * phase: 0 new → 0.25 first quarter → 0.5 full → 0.75 last quarter
+ */
+export function getMoonPhase(date) {
+    const d = daysSinceJ2000(date);
+    const sun = sunCoords(d);
+    const moon = moonCoords(d);
+
+    const elongation = Math.acos(
+        Math.sin(sun.dec) * Math.sin(moon.dec)
+        + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+    const incidence = Math.atan2(
+        SUN_DISTANCE_KM * Math.sin(elongation),
+        moon.distance - SUN_DISTANCE_KM * Math.cos(elongation)
+    );
+    const angle = Math.atan2(
+        Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+
+    return {
+        fraction: (1 + Math.cos(incidence)) / 2,
+        phase: 0.5 + (0.5 * incidence * (angle < 0 ? -1 : 1)) / Math.PI,
+    };
+}
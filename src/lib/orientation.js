@@ -0,0 +1,301 @@
+/**
+ * Orientation store — the single owner of the compass.
+ *
+ * The heading pipeline:
+ *   1. Absolute readings preferred: `deviceorientationabsolute` (Android),
+ *      `webkitCompassHeading` (iOS), or an `absolute` deviceorientation
+ *      event. Anything else is relative to wherever the phone started
+ *      (isAbsolute false).
+ *   2. The full alpha/beta/gamma rotation gives the direction we're looking,
+ *      whether the phone lies flat or stands up, in portrait or landscape
+ *      (`screen.orientation.angle`).
+ *   3. Magnetic → true north with the declination at our position.
+ *   4. Circular low-pass filter — smoothed as a unit vector, so 359° → 1°
+ *      doesn't swing the long way round.
+ *   5. Published only when it moves noticeably, not on every sensor event.
+ *
+ * `tilt` is how the phone is held, in degrees relative to the screen as the
+ * user sees it: beta tips the top edge up, gamma drops the right edge.
+ *
+ * Accuracy comes from `webkitCompassAccuracy` where the platform reports it
+ * (degrees, negative = uncalibrated); poor accuracy, or the browser's own
+ * `compassneedscalibration`, raises `needsCalibration`.
+ */
+import { getDeclination } from './declination';
+import { getLocationSnapshot, subscribeLocation } from './locationStore';
+
+// Low-pass time constant
+const SMOOTHING_MS = 150;
+// Publish at most this often, and only for at least this much change
+const PUBLISH_MS = 33;
+const PUBLISH_STEP_DEG = 0.5;
+// iOS alpha is relative; its offset to the compass is only trusted within this of flat
+const FLAT_DEG = 45;
+// Accuracy worse than this (or negative) for this long asks for calibration
+const POOR_ACCURACY_DEG = 20;
+const CALIBRATION_DELAY_MS = 2000;
+// A browser calibration request without accuracy to clear it expires after this
+const CALIBRATION_REQUEST_MS = 15 * 1000;
+// Recompute the declination after moving this far (degrees of lat/lon)
+const DECLINATION_STEP_DEG = 0.5;
+// No readings by then: no compass (desktop) — drift slowly for the demo
+const SENSOR_TIMEOUT_MS = 1500;
+const DRIFT_DEG_PER_TICK = 0.15;
+const DRIFT_TICK_MS = 50;
+
+let snapshot = {
+    // Degrees clockwise from true north (or from wherever we started, if not absolute)
+    heading: 0,
+    // Degrees, null when the platform doesn't say
+    accuracy: null,
+    isAbsolute: false,
+    isSupported: false,
+    // { beta, gamma } in degrees, null until the sensor reports
+    tilt: null,
+    declination: 0,
+    needsCalibration: false,
+};
+
+const listeners = new Set();
+
+function publish(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((cb) => cb());
+}
+
+const DEG = Math.PI / 180;
+
+function angleDelta(a, b) {
+    return Math.abs(((a - b + 540) % 360) - 180);
+}
+
+function getScreenAngle() {
+    return window.screen?.orientation?.angle ?? window.orientation ?? 0;
+}
+
+/**
+ * Heading the screen is looking along, from the device's Z-X'-Y'' rotation.
+ * Sums screen-up and out-of-the-back: one is horizontal when the phone lies
+ * flat, the other when it stands up, and they agree in between.
+ */
+function viewHeading(alpha, beta, gamma, screenAngle) {
+    const cA = Math.cos(alpha * DEG);
+    const sA = Math.sin(alpha * DEG);
+    const cB = Math.cos(beta * DEG);
+    const sB = Math.sin(beta * DEG);
+    const cG = Math.cos(gamma * DEG);
+    const sG = Math.sin(gamma * DEG);
+    const cS = Math.cos(screenAngle * DEG);
+    const sS = Math.sin(screenAngle * DEG);
+
+    // Device → earth (east, north) rows of the rotation matrix
+    const east = (cA * cG - sA * sB * sG) * sS - cB * sA * cS - (cG * sA * sB + cA * sG);
+    const north = (cG * sA + cA * sB * sG) * sS + cA * cB * cS - (sA * sG - cA * cG * sB);
+    return (Math.atan2(east, north) / DEG + 360) % 360;
+}
+
+/** Tilt in the screen's frame — the device's beta/gamma turned by the screen angle */
+function screenTilt(beta, gamma, screenAngle) {
+    const cS = Math.cos(screenAngle * DEG);
+    const sS = Math.sin(screenAngle * DEG);
+    return { beta: beta * cS - gamma * sS, gamma: beta * sS + gamma * cS };
+}
+
+function start() {
+    let declination = 0;
+    let declinationAt = null;
+    // Smoothed heading as a unit vector
+    let x = null;
+    let y = null;
+    let tilt = null;
+    let lastEventAt = 0;
+    let lastPublishAt = 0;
+    let poorSince = null;
+    let calibrationRequestedAt = null;
+    let drift = null;
+    // iOS: compass heading minus relative alpha, as a unit vector
+    let alphaOffset = null;
+
+    const syncDeclination = () => {
+        const { selfLat, selfLon } = getLocationSnapshot();
+        if (selfLat == null || selfLon == null) return;
+        if (declinationAt
+            && Math.abs(selfLat - declinationAt.lat) < DECLINATION_STEP_DEG
+            && Math.abs(selfLon - declinationAt.lon) < DECLINATION_STEP_DEG) return;
+
+        declinationAt = { lat: selfLat, lon: selfLon };
+        declination = getDeclination(selfLat, selfLon);
+        publish({ declination });
+    };
+
+    const syncCalibration = (accuracy, now) => {
+        const poor = accuracy != null && (accuracy < 0 || accuracy > POOR_ACCURACY_DEG);
+        if (poor) poorSince ??= now;
+        else if (accuracy != null) {
+            poorSince = null;
+            calibrationRequestedAt = null;
+        }
+        if (calibrationRequestedAt != null && now - calibrationRequestedAt > CALIBRATION_REQUEST_MS) {
+            calibrationRequestedAt = null;
+        }
+
+        const needsCalibration = calibrationRequestedAt != null
+            || (poorSince != null && now - poorSince >= CALIBRATION_DELAY_MS);
+        if (needsCalibration !== snapshot.needsCalibration || accuracy !== snapshot.accuracy) {
+            publish({ needsCalibration, accuracy });
+        }
+    };
+
+    /** Magnetic (or relative) heading and screen tilt from an orientation event, or null */
+    const readOrientation = (event) => {
+        if (typeof event.alpha !== 'number') return null;
+        const screenAngle = getScreenAngle();
+        let alpha = event.alpha;
+        let absolute = event.type === 'deviceorientationabsolute' || event.absolute === true;
+        let accuracy = null;
+
+        if (typeof event.webkitCompassHeading === 'number') {
+            // iOS alpha starts wherever the phone did; line it up with the
+            // compass, which only means the top edge's heading near flat
+            const offset = (360 - event.webkitCompassHeading - alpha) * DEG;
+            const flat = Math.abs(event.beta ?? 0) < FLAT_DEG && Math.abs(event.gamma ?? 0) < FLAT_DEG;
+            if (!alphaOffset) alphaOffset = { x: Math.cos(offset), y: Math.sin(offset) };
+            else if (flat) {
+                alphaOffset.x += (Math.cos(offset) - alphaOffset.x) * 0.1;
+                alphaOffset.y += (Math.sin(offset) - alphaOffset.y) * 0.1;
+            }
+            alpha += Math.atan2(alphaOffset.y, alphaOffset.x) / DEG;
+            absolute = true;
+            accuracy = event.webkitCompassAccuracy ?? null;
+        }
+
+        if (typeof event.beta !== 'number' || typeof event.gamma !== 'number') {
+            return { heading: (360 - alpha + screenAngle + 360) % 360, absolute, accuracy, tilt: null };
+        }
+        return {
+            heading: viewHeading(alpha, event.beta, event.gamma, screenAngle),
+            absolute,
+            accuracy,
+            tilt: screenTilt(event.beta, event.gamma, screenAngle),
+        };
+    };
+
+    const handleOrientation = (event) => {
+        const reading = readOrientation(event);
+        if (!reading) return;
+
+        if (drift) {
+            clearInterval(drift);
+            drift = null;
+        }
+
+        const now = performance.now();
+        const heading = reading.absolute ? reading.heading + declination : reading.heading;
+        const rad = heading * DEG;
+        if (x === null) {
+            x = Math.cos(rad);
+            y = Math.sin(rad);
+            tilt = reading.tilt;
+        } else {
+            const k = 1 - Math.exp(-(now - lastEventAt) / SMOOTHING_MS);
+            x += (Math.cos(rad) - x) * k;
+            y += (Math.sin(rad) - y) * k;
+            tilt = reading.tilt && tilt ? {
+                beta: tilt.beta + (reading.tilt.beta - tilt.beta) * k,
+                gamma: tilt.gamma + (reading.tilt.gamma - tilt.gamma) * k,
+            } : reading.tilt;
+        }
+        lastEventAt = now;
+        syncCalibration(reading.accuracy, now);
+
+        const smoothed = (Math.atan2(y, x) / DEG + 360) % 360;
+        const published = snapshot.tilt;
+        const tiltChanged = !tilt !== !published || (tilt && (
+            Math.abs(tilt.beta - published.beta) >= PUBLISH_STEP_DEG
+            || Math.abs(tilt.gamma - published.gamma) >= PUBLISH_STEP_DEG
+        ));
+        const changed = angleDelta(smoothed, snapshot.heading) >= PUBLISH_STEP_DEG
+            || tiltChanged
+            || reading.absolute !== snapshot.isAbsolute
+            || !snapshot.isSupported;
+        if (changed && now - lastPublishAt >= PUBLISH_MS) {
+            lastPublishAt = now;
+            publish({ heading: smoothed, tilt, isAbsolute: reading.absolute, isSupported: true });
+        }
+    };
+
+    const handleCalibrationRequest = () => {
+        calibrationRequestedAt = performance.now();
+        syncCalibration(snapshot.accuracy, calibrationRequestedAt);
+    };
+
+    // Android's absolute stream when there is one; iOS and the rest report
+    // through plain deviceorientation
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    const listen = () => window.addEventListener(eventName, handleOrientation, true);
+
+    const hasOrientation = 'DeviceOrientationEvent' in window;
+    if (hasOrientation && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        // iOS 13+ — permission is requested on the first user gesture (handled in UI)
+        window.__requestOrientationPermission = async () => {
+            try {
+                const result = await DeviceOrientationEvent.requestPermission();
+                if (result === 'granted') listen();
+            } catch (e) {
+                console.warn('[Sunflower] Orientation permission denied:', e);
+            }
+        };
+    } else if (hasOrientation) {
+        listen();
+    }
+    window.addEventListener('compassneedscalibration', handleCalibrationRequest);
+
+    // Desktop fallback: nothing reported — slowly drift the heading for the visual demo
+    const sensorTimeout = setTimeout(() => {
+        if (lastEventAt || window.__requestOrientationPermission) return;
+        let heading = snapshot.heading;
+        drift = setInterval(() => {
+            heading = (heading + DRIFT_DEG_PER_TICK) % 360;
+            publish({ heading });
+        }, DRIFT_TICK_MS);
+    }, hasOrientation ? SENSOR_TIMEOUT_MS : 0);
+
+    const unsubscribeLocation = subscribeLocation(syncDeclination);
+    syncDeclination();
+
+    return () => {
+        clearTimeout(sensorTimeout);
+        clearInterval(drift);
+        unsubscribeLocation();
+        window.removeEventListener(eventName, handleOrientation, true);
+        window.removeEventListener('compassneedscalibration', handleCalibrationRequest);
+    };
+}
+
+let running = null;
+let pendingStop = null;
+
+export function subscribeOrientation(cb) {
+    listeners.add(cb);
+
+    clearTimeout(pendingStop);
+    if (!running) running = start();
+
+    return () => {
+        listeners.delete(cb);
+        if (listeners.size > 0) return;
+
+        // Defer teardown a tick so a remount (StrictMode, HMR) keeps the sensor
+        pendingStop = setTimeout(() => {
+            if (listeners.size === 0 && running) {
+                running();
+                running = null;
+            }
+        }, 0);
+    };
+}
+
+/** { heading, accuracy, isAbsolute, isSupported, tilt, declination, needsCalibration } */
+export function getOrientationSnapshot() {
+    return snapshot;
+}
@@ -0,0 +1,173 @@
+/**
+ * Pairing — links exactly two devices into a private presence room.
+ *
+ * One person creates a pair and shares the invite code (or link / QR),
+ * the other redeems it. Both then join a channel scoped to that pair ID
+ * instead of a single global room shared by every deployment.
+ *
+ * The invite code is the pair ID followed by a pairing secret. The ID is
+ * public — it names the channel — but the secret never leaves the invite:
+ * it is what lets each side check the other's key (see locationCrypto.js).
+ * Links also carry the inviter's key fingerprint, and keep everything in
+ * the URL fragment so it isn't sent to the web server.
+ *
+ * The pairing lives in localStorage next to `sunflower-user-id`, and is
+ * exposed as a tiny external store so React can subscribe to it.
+ */
+
+const PAIR_KEY = 'sunflower-pair';
+
+// No 0/O or 1/I/L — codes get read aloud and typed on phones
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+// ~79 bits — long enough that it can't be guessed from a published proof
+const SECRET_LENGTH = 16;
+
+// Fragment parameters carried by invite links
+const INVITE_PARAM = 'pair';
+const FINGERPRINT_PARAM = 'fp';
+
+const listeners = new Set();
+
+function readPairing() {
+    try {
+        const raw = localStorage.getItem(PAIR_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.warn('[Sunflower] Corrupt pairing record, ignoring:', e);
+        return null;
+    }
+}
+
+let pairing = readPairing();
+
+function writePairing(next) {
+    pairing = next;
+    if (next) {
+        localStorage.setItem(PAIR_KEY, JSON.stringify(next));
+    } else {
+        localStorage.removeItem(PAIR_KEY);
+    }
+    listeners.forEach((cb) => cb());
+}
+
+// Largest multiple of the alphabet size that fits in a byte — bytes at or
+// above it are redrawn, so every character is equally likely
+const UNBIASED_BYTE_LIMIT = 256 - (256 % CODE_ALPHABET.length);
+
+function generateCode(length) {
+    let code = '';
+    while (code.length < length) {
+        for (const b of crypto.getRandomValues(new Uint8Array(length))) {
+            if (b < UNBIASED_BYTE_LIMIT && code.length < length) code += CODE_ALPHABET[b % CODE_ALPHABET.length];
+        }
+    }
+    return code;
+}
+
+/** Strip separators/whitespace and uppercase — "abcd-efgh" → "ABCDEFGH" */
+export function normalizeInviteCode(input) {
+    return String(input ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/** Display form of a code, split in groups of four for readability */
+export function formatInviteCode(code) {
+    return code.match(/.{1,4}/g)?.join('-') ?? '';
+}
+
+export function isValidInviteCode(code) {
+    return code.length === CODE_LENGTH + SECRET_LENGTH && [...code].every((c) => CODE_ALPHABET.includes(c));
+}
+
+/** The full code to hand the partner: pair ID, then the pairing secret */
+export function getInviteCode(pair) {
+    return pair.id + (pair.secret ?? '');
+}
+
+/** Presence channel name for a pair */
+export function getPairChannelName(pairId) {
+    return `sunflower-pair-${pairId}`;
+}
+
+/**
+ * Shareable link that redeems the invite when opened, pinned to this
+ * device's key by its fingerprint.
+ */
+export function getInviteLink(pair, fingerprint) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    const params = new URLSearchParams({ [INVITE_PARAM]: getInviteCode(pair) });
+    if (fingerprint) params.set(FINGERPRINT_PARAM, fingerprint);
+    url.hash = params.toString();
+    return url.toString();
+}
+
+export function getPairing() {
+    return pairing;
+}
+
+export function subscribePairing(cb) {
+    listeners.add(cb);
+    return () => listeners.delete(cb);
+}
+
+/** Start a new pair — this device becomes the inviter */
+export function createPair() {
+    const next = {
+        id: generateCode(CODE_LENGTH),
+        secret: generateCode(SECRET_LENGTH),
+        role: 'inviter',
+        createdAt: Date.now(),
+    };
+    writePairing(next);
+    return next;
+}
+
+/**
+ * Join the pair behind an invite code. `fingerprint` is the inviter's key
+ * fingerprint when the invite came as a link.
+ * Throws if the code is malformed.
+ */
+export function redeemInvite(input, fingerprint = null) {
+    const code = normalizeInviteCode(input);
+    if (!isValidInviteCode(code)) {
+        throw new Error('Invalid invite code');
+    }
+    const id = code.slice(0, CODE_LENGTH);
+    const secret = code.slice(CODE_LENGTH);
+    if (pairing?.id === id && pairing.secret === secret) return pairing;
+
+    const next = { id, secret, role: 'invitee', createdAt: Date.now() };
+    if (fingerprint) next.partnerFingerprint = fingerprint;
+    writePairing(next);
+    return next;
+}
+
+/**
+ * Remember the partner's public key once it has passed the pairing checks.
+ * Later keys that don't match are rejected by the caller.
+ */
+export function pinPartnerKey(pairId, publicJwk) {
+    if (!pairing || pairing.id !== pairId || pairing.partnerKey) return;
+    writePairing({ ...pairing, partnerKey: publicJwk });
+}
+
+/** Forget the pair — the presence channel is left by its subscribers */
+export function unpair() {
+    writePairing(null);
+}
+
+// Opening an invite link redeems it, then the code is dropped from the URL
+// so a refresh or a shared screenshot doesn't leak it further.
+const inviteParams = new URLSearchParams(window.location.hash.slice(1));
+const inviteFromUrl = inviteParams.get(INVITE_PARAM);
+if (inviteFromUrl) {
+    try {
+        redeemInvite(inviteFromUrl, inviteParams.get(FINGERPRINT_PARAM));
+    } catch (e) {
+        console.warn('[Sunflower] Ignoring invite link:', e.message);
+    }
+    const url = new URL(window.location.href);
+    url.hash = '';
+    window.history.replaceState(null, '', url);
+}
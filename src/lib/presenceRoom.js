@@ -0,0 +1,97 @@
+/**
+ * Presence over a plain message pipe — shared by the BroadcastChannel and
+ * WebSocket relay transports, which only move messages around.
+ *
+ * Messages, all tagged with the sender's key:
+ *   { type: 'hello', key }                    a newcomer; members re-announce
+ *   { type: 'track', key, meta }              a member's presence meta
+ *   { type: 'leave', key }                    a member left
+ *   { type: 'broadcast', key, event, payload }
+ * Members re-announce on a heartbeat; one that goes quiet (a closed tab, a
+ * dropped phone) expires from the room.
+ */
+
+const HEARTBEAT_MS = 10 * 1000;
+const EXPIRE_MS = 35 * 1000;
+
+/**
+ * post(message) sends to every other member; feed their messages to
+ * receive(). onSync and onBroadcast follow the transport interface.
+ */
+export function createPresenceRoom({ key, post, onSync, onBroadcast }) {
+    // key → { meta, seenAt }
+    const members = new Map();
+    let ownMeta = null;
+    let heartbeat = null;
+
+    const sync = () => {
+        const state = {};
+        if (ownMeta) state[key] = [ownMeta];
+        members.forEach((member, memberKey) => {
+            state[memberKey] = [member.meta];
+        });
+        onSync(state);
+    };
+
+    const announce = () => {
+        if (ownMeta) post({ type: 'track', key, meta: ownMeta });
+    };
+
+    const expire = () => {
+        const now = Date.now();
+        let changed = false;
+        members.forEach((member, memberKey) => {
+            if (now - member.seenAt > EXPIRE_MS) {
+                members.delete(memberKey);
+                changed = true;
+            }
+        });
+        if (changed) sync();
+    };
+
+    return {
+        start() {
+            post({ type: 'hello', key });
+            heartbeat = setInterval(() => {
+                announce();
+                expire();
+            }, HEARTBEAT_MS);
+        },
+
+        receive(message) {
+            if (typeof message?.key !== 'string' || message.key === key) return;
+            switch (message.type) {
+                case 'hello':
+                    announce();
+                    break;
+                case 'track':
+                    members.set(message.key, { meta: message.meta, seenAt: Date.now() });
+                    sync();
+                    break;
+                case 'leave':
+                    if (members.delete(message.key)) sync();
+                    break;
+                case 'broadcast':
+                    onBroadcast(message.event, message.payload);
+                    break;
+            }
+        },
+
+        track(meta) {
+            ownMeta = meta;
+            announce();
+            sync();
+        },
+
+        broadcast(event, payload) {
+            post({ type: 'broadcast', key, event, payload });
+        },
+
+        stop() {
+            clearInterval(heartbeat);
+            post({ type: 'leave', key });
+            members.clear();
+            ownMeta = null;
+        },
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Location privacy modes.
+ *
+ *  exact    — full-precision GPS is shared with the partner.
+ *  coarse   — the shared position is shifted by a random offset of up to
+ *             COARSE_RADIUS_M, fixed for the browser session so it can't be
+ *             averaged away by watching it move.
+ *  distance — no coordinates are shared at all. This device measures the
+ *             distance and bearing *from the partner* itself, and sends only
+ *             the distance band and compass octant they fall in. The partner
+ *             knows where they are, so exact figures would give the position
+ *             straight back.
+ */
+import { computeDestinationPoint, getDistance, getGreatCircleBearing } from 'geolib';
+
+export const COARSE_RADIUS_M = 500;
+
+// Upper edges of the distance bands shared in distance-only mode (metres).
+// The last one is half the Earth's circumference — nothing is further.
+export const DISTANCE_BANDS_M = [1000, 5000, 20000, 100000, 500000, 2000000, 20037508];
+// ...and the width of the compass sector the bearing is rounded to
+export const BEARING_OCTANT_DEG = 45;
+
+export const PRIVACY_MODES = [
+    { id: 'exact', label: 'Exact', description: 'She sees exactly where you are' },
+    { id: 'coarse', label: 'Coarse', description: `Blurred to within ${COARSE_RADIUS_M}m` },
+    { id: 'distance', label: 'Distance', description: 'Only a rough distance and direction are shared' },
+];
+
+const OFFSET_KEY = 'sunflower-coarse-offset';
+
+/** Random offset for this session — uniform over a disc, not clustered at the centre */
+function getSessionOffset() {
+    try {
+        const stored = sessionStorage.getItem(OFFSET_KEY);
+        if (stored) return JSON.parse(stored);
+    } catch {
+        // Fall through and pick a fresh offset
+    }
+
+    const [a, b] = crypto.getRandomValues(new Uint32Array(2));
+    const offset = {
+        distance: Math.sqrt(a / 0xffffffff) * COARSE_RADIUS_M,
+        bearing: (b / 0xffffffff) * 360,
+    };
+    sessionStorage.setItem(OFFSET_KEY, JSON.stringify(offset));
+    return offset;
+}
+
+/** Whether the GPS watch should ask for high accuracy in this mode */
+export function wantsHighAccuracy(mode) {
+    return mode === 'exact';
+}
+
+/**
+ * The location fields to send the partner for a privacy mode.
+ * `partner` is the partner's last known position (needed for distance-only).
+ * Returns null when there is nothing worth sending yet.
+ */
+export function buildLocationPayload(mode, self, partner) {
+    if (self.lat == null || self.lon == null) return null;
+
+    if (mode === 'coarse') {
+        const { distance, bearing } = getSessionOffset();
+        const fuzzed = computeDestinationPoint(
+            { latitude: self.lat, longitude: self.lon },
+            distance,
+            bearing
+        );
+        return { mode, lat: fuzzed.latitude, lon: fuzzed.longitude, acc: COARSE_RADIUS_M };
+    }
+
+    if (mode === 'distance') {
+        // Without their coordinates there's nothing to measure from
+        if (partner.lat == null || partner.lon == null) return { mode };
+        const { distance, bearing } = relativeTo(partner, self);
+        const band = quantizeDistance(distance);
+        return {
+            mode,
+            distance: band.distance,
+            bearing: quantizeBearing(bearing),
+            acc: band.acc + (partner.acc ?? 0),
+        };
+    }
+
+    return { mode: 'exact', lat: self.lat, lon: self.lon, acc: 0 };
+}
+
+/** Distance and great-circle bearing from `from` to `to` (lat/lon objects) */
+export function relativeTo(from, to) {
+    const a = { latitude: from.lat, longitude: from.lon };
+    const b = { latitude: to.lat, longitude: to.lon };
+    return {
+        distance: getDistance(a, b),
+        bearing: getGreatCircleBearing(a, b),
+    };
+}
+
+/**
+ * The band a distance falls in, as its midpoint and half-width (metres) —
+ * what a distance-only partner is told instead of the real figure.
+ */
+export function quantizeDistance(meters) {
+    let index = DISTANCE_BANDS_M.findIndex((edge) => meters < edge);
+    if (index === -1) index = DISTANCE_BANDS_M.length - 1;
+    const lower = index > 0 ? DISTANCE_BANDS_M[index - 1] : 0;
+    const upper = DISTANCE_BANDS_M[index];
+    return { distance: (lower + upper) / 2, acc: (upper - lower) / 2 };
+}
+
+/** A bearing rounded to the nearest compass octant (N, NE, E…) in degrees */
+export function quantizeBearing(degrees) {
+    const normalized = ((degrees % 360) + 360) % 360;
+    return (Math.round(normalized / BEARING_OCTANT_DEG) * BEARING_OCTANT_DEG) % 360;
+}
@@ -0,0 +1,43 @@
+/**
+ * Distance-only mode must not hand the partner enough to work out where
+ * the sender is. Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLocationPayload, quantizeBearing, quantizeDistance, wantsHighAccuracy } from './privacy.js';
+
+const PARTNER = { lat: 28.6139, lon: 77.209, acc: 0 };
+const SELF = { lat: 28.7041, lon: 77.1025 };
+
+test('distance-only sends a band and an octant, never the measured figures', () => {
+    const payload = buildLocationPayload('distance', SELF, PARTNER);
+    assert.equal(payload.lat, undefined);
+    assert.equal(payload.lon, undefined);
+    assert.deepEqual(payload, { mode: 'distance', distance: 12500, bearing: 315, acc: 7500 });
+});
+
+test('the partner’s own uncertainty widens the reported accuracy', () => {
+    const payload = buildLocationPayload('distance', SELF, { ...PARTNER, acc: 500 });
+    assert.equal(payload.acc, 8000);
+});
+
+test('distance bands cover everything from next door to the antipode', () => {
+    assert.deepEqual(quantizeDistance(0), { distance: 500, acc: 500 });
+    assert.deepEqual(quantizeDistance(999), { distance: 500, acc: 500 });
+    assert.deepEqual(quantizeDistance(1000), { distance: 3000, acc: 2000 });
+    assert.deepEqual(quantizeDistance(30000000), quantizeDistance(19000000));
+});
+
+test('bearings snap to the nearest octant', () => {
+    assert.equal(quantizeBearing(0), 0);
+    assert.equal(quantizeBearing(22), 0);
+    assert.equal(quantizeBearing(23), 45);
+    assert.equal(quantizeBearing(350), 0);
+    assert.equal(quantizeBearing(-100), 270);
+});
+
+test('only exact mode asks the GPS for high accuracy', () => {
+    assert.equal(wantsHighAccuracy('exact'), true);
+    assert.equal(wantsHighAccuracy('coarse'), false);
+    assert.equal(wantsHighAccuracy('distance'), false);
+});
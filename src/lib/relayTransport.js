@@ -0,0 +1,70 @@
+/**
+ * WebSocket relay transport — talks to the self-hostable relay in
+ * server/relay.js (`npm run relay`), which fans each message out to the
+ * other sockets in the same room. Presence is kept by the clients.
+ * See transport.js for the interface.
+ */
+import { createPresenceRoom } from './presenceRoom';
+
+export function createRelayTransport(url) {
+    return {
+        name: 'relay',
+
+        join(name, { key, onSync, onBroadcast, onStatus }) {
+            let left = false;
+            let failed = false;
+            // The relay binds `key` to this socket and drops frames claiming another
+            const socket = new WebSocket(`${url}?room=${encodeURIComponent(name)}&key=${encodeURIComponent(key)}`);
+            const isOpen = () => socket.readyState === WebSocket.OPEN;
+
+            const room = createPresenceRoom({
+                key,
+                post: (message) => isOpen() && socket.send(JSON.stringify(message)),
+                onSync: (state) => !left && onSync(state),
+                onBroadcast: (event, payload) => !left && onBroadcast(event, payload),
+            });
+
+            // An error is followed by a close — report only the first
+            const fail = (status, err) => {
+                if (left || failed) return;
+                failed = true;
+                room.stop();
+                onStatus(status, err);
+            };
+
+            socket.onopen = () => {
+                if (left) return;
+                room.start();
+                onStatus('SUBSCRIBED');
+            };
+            socket.onmessage = (e) => {
+                try {
+                    room.receive(JSON.parse(e.data));
+                } catch (err) {
+                    console.warn('[Sunflower] Bad relay message:', err.message);
+                }
+            };
+            socket.onerror = () => fail('CHANNEL_ERROR', new Error(`Relay error (${url})`));
+            socket.onclose = (e) => fail('CLOSED', new Error(e.reason || `Relay closed (${e.code})`));
+
+            return {
+                track: async (meta) => {
+                    if (!isOpen()) return 'error';
+                    room.track(meta);
+                    return 'ok';
+                },
+                broadcast: async (event, payload) => {
+                    if (!isOpen()) return 'error';
+                    room.broadcast(event, payload);
+                    return 'ok';
+                },
+                leave: async () => {
+                    if (left) return;
+                    left = true;
+                    if (!failed) room.stop();
+                    socket.close();
+                },
+            };
+        },
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * User settings — persisted in localStorage and exposed as an external
+ * store so both the Canvas tree and the DOM overlay stay in sync.
+ */
+
+const SETTINGS_KEY = 'sunflower-settings';
+
+const DEFAULTS = {
+    // 'exact' | 'coarse' | 'distance' — see lib/privacy.js
+    privacyMode: 'exact',
+    // Keep the sun pinned at golden hour instead of following day and night
+    eternalGoldenHour: false,
+    // How strongly the flower head follows the sun: 0 = faces her, 1 = the sun
+    heliotropism: 0.6,
+    // Show the partner's sky (sun, moon, weather) picture-in-picture
+    partnerSky: false,
+    // Let the partner's sky look up the weather at our rounded position
+    // (exact sharing only) — see lib/weather.js
+    shareWeather: false,
+    // Let the scene shift with how the phone is held
+    tiltParallax: true,
+    // Compass HUD with her exact bearing
+    compassHud: true,
+    // 'compass' | 'orbit' | 'cinematic' — see components/CameraRig.jsx
+    cameraMode: 'compass',
+};
+
+const listeners = new Set();
+
+function readSettings() {
+    try {
+        const raw = localStorage.getItem(SETTINGS_KEY);
+        return { ...DEFAULTS, ...(raw ? JSON.parse(raw) : {}) };
+    } catch (e) {
+        console.warn('[Sunflower] Corrupt settings, using defaults:', e);
+        return { ...DEFAULTS };
+    }
+}
+
+let settings = readSettings();
+
+export function getSettings() {
+    return settings;
+}
+
+export function getSetting(key) {
+    return settings[key];
+}
+
+export function setSetting(key, value) {
+    if (settings[key] === value) return;
+    settings = { ...settings, [key]: value };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    listeners.forEach((cb) => cb());
+}
+
+export function subscribeSettings(cb) {
+    listeners.add(cb);
+    return () => listeners.delete(cb);
+}
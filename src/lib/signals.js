@@ -0,0 +1,156 @@
+/**
+ * Signals — small touches sent between partners: "thinking of you", a kiss,
+ * a hug. Carried as sealed pair events on the presence channel (see
+ * sendPairEvent), nothing is stored server-side.
+ *
+ * Each signal plays an effect on both flowers and vibrates the receiving
+ * device. Both directions are rate limited, and the last few signals are
+ * kept as a small history for the overlay.
+ */
+import { sendPairEvent, subscribePairEvents } from './locationStore';
+
+const SIGNAL_EVENT = 'signal';
+const HISTORY_KEY = 'sunflower-signals';
+const HISTORY_SIZE = 12;
+
+// At most RATE_MAX signals per RATE_WINDOW_MS, sent and received separately
+const RATE_WINDOW_MS = 30 * 1000;
+const RATE_MAX = 5;
+
+/**
+ * effect: 'sparkles' (swirl around the flower), 'petals' (burst of petals)
+ * or 'heartbeat' (the flower's pulse spikes)
+ */
+export const SIGNALS = [
+    {
+        id: 'thinking',
+        label: 'Thinking of you',
+        icon: '✨',
+        effect: 'sparkles',
+        vibration: [30, 80, 30],
+        sentText: 'you thought of her',
+        receivedText: 'she is thinking of you',
+    },
+    {
+        id: 'kiss',
+        label: 'A kiss',
+        icon: '💋',
+        effect: 'petals',
+        vibration: [60, 40, 120],
+        sentText: 'you sent a kiss',
+        receivedText: 'she sent you a kiss',
+    },
+    {
+        id: 'hug',
+        label: 'A hug',
+        icon: '🤗',
+        effect: 'heartbeat',
+        vibration: [250, 100, 250],
+        sentText: 'you sent a hug',
+        receivedText: 'she sent you a hug',
+    },
+];
+
+export function getSignal(id) {
+    return SIGNALS.find((s) => s.id === id) ?? null;
+}
+
+/**
+ * Sliding-window limiter — returns a function that takes a slot and returns
+ * a refund for it, or null when the window is full
+ */
+function createRateLimiter(max, windowMs) {
+    const times = [];
+    return () => {
+        const now = Date.now();
+        while (times.length && now - times[0] > windowMs) times.shift();
+        if (times.length >= max) return null;
+        times.push(now);
+        return () => {
+            const i = times.indexOf(now);
+            if (i !== -1) times.splice(i, 1);
+        };
+    };
+}
+
+const canSend = createRateLimiter(RATE_MAX, RATE_WINDOW_MS);
+const canReceive = createRateLimiter(RATE_MAX, RATE_WINDOW_MS);
+
+/* ---------- history ---------- */
+
+function readHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return Array.isArray(history) ? history.filter((entry) => getSignal(entry.id)) : [];
+    } catch {
+        return [];
+    }
+}
+
+let history = readHistory();
+const historyListeners = new Set();
+
+function remember(id, fromPartner) {
+    history = [{ id, fromPartner, at: Date.now() }, ...history].slice(0, HISTORY_SIZE);
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    historyListeners.forEach((cb) => cb());
+}
+
+/** Newest first: [{ id, fromPartner, at }] */
+export function getSignalHistory() {
+    return history;
+}
+
+export function subscribeSignalHistory(cb) {
+    historyListeners.add(cb);
+    return () => historyListeners.delete(cb);
+}
+
+/* ---------- sending & receiving ---------- */
+
+const listeners = new Set();
+
+function play(signal, fromPartner) {
+    remember(signal.id, fromPartner);
+    listeners.forEach((cb) => cb({ signal, fromPartner }));
+}
+
+/**
+ * Send a signal to the partner.
+ * Resolves 'sent', 'rate-limited', or 'offline' when nobody received it.
+ */
+export async function sendSignal(id) {
+    const signal = getSignal(id);
+    if (!signal) throw new Error(`Unknown signal: ${id}`);
+    const refund = canSend();
+    if (!refund) return 'rate-limited';
+
+    const sent = await sendPairEvent(SIGNAL_EVENT, { id });
+    if (!sent) {
+        // Nobody received it — it shouldn't count against a retry
+        refund();
+        return 'offline';
+    }
+
+    play(signal, false);
+    return 'sent';
+}
+
+/** cb({ signal, fromPartner }) for every signal sent or received. Returns an unsubscribe. */
+export function subscribeSignals(cb) {
+    listeners.add(cb);
+    return () => listeners.delete(cb);
+}
+
+subscribePairEvents((event) => {
+    if (event.type !== SIGNAL_EVENT) return;
+    const signal = getSignal(event.id);
+    if (!signal) return;
+    if (!canReceive()) {
+        console.warn('[Sunflower] Too many signals, ignoring:', signal.id);
+        return;
+    }
+
+    navigator.vibrate?.(signal.vibration);
+    play(signal, true);
+});
@@ -0,0 +1,145 @@
+/**
+ * Dev simulation — fake positions and heading, for seeing the bearing
+ * rotation and the heartbeat without a second phone. Only active with
+ * `?dev` in the URL (see DevPanel).
+ *
+ *   self     'gps' (real), 'fixed' at { lat, lon }, or 'replay' a track
+ *   partner  'off' (real), 'placed' at { distance, bearing } from you —
+ *            walking toward you at `speed` m/s — or 'replay' a track
+ *   heading  null (real sensor) or a compass heading in degrees
+ *
+ * Positions are fed into the location store as overrides, so
+ * usePartnerLocation and useDeviceOrientation keep their usual outputs.
+ */
+import { computeDestinationPoint } from 'geolib';
+import { getLocationSnapshot, setLocationOverrides } from './locationStore';
+import { positionOnTrack } from './gpsTrack';
+
+export const isDevMode = new URLSearchParams(window.location.search).has('dev');
+
+// Where a simulation starts when there's no GPS fix to start from
+const DEMO_ORIGIN = { lat: 48.8584, lon: 2.2945 };
+const TICK_MS = 200;
+
+let simulation = {
+    self: { mode: 'gps', lat: DEMO_ORIGIN.lat, lon: DEMO_ORIGIN.lon, track: null },
+    partner: { mode: 'off', distance: 800, bearing: 45, speed: 0, startedAt: 0, track: null },
+    // Replay clock shared by both tracks: track time = offset + (now - changedAt) × speed
+    replay: { speed: 1, offset: 0, changedAt: 0 },
+    heading: null,
+};
+
+const listeners = new Set();
+let ticker = null;
+
+/** Track time of the replay clock now (ms) */
+function replayTime(now) {
+    const { speed, offset, changedAt } = simulation.replay;
+    return offset + (now - changedAt) * speed;
+}
+
+function computeOverrides(now) {
+    const { self, partner } = simulation;
+    const overrides = {};
+
+    if (self.mode === 'fixed') {
+        overrides.selfLat = self.lat;
+        overrides.selfLon = self.lon;
+    } else if (self.mode === 'replay' && self.track) {
+        const pos = positionOnTrack(self.track, replayTime(now));
+        overrides.selfLat = pos.lat;
+        overrides.selfLon = pos.lon;
+    }
+
+    let partnerPos = null;
+    if (partner.mode === 'placed') {
+        const real = getLocationSnapshot();
+        const origin = {
+            latitude: overrides.selfLat ?? real.selfLat ?? DEMO_ORIGIN.lat,
+            longitude: overrides.selfLon ?? real.selfLon ?? DEMO_ORIGIN.lon,
+        };
+        // Walks straight toward you and stops on arrival
+        const walked = ((now - partner.startedAt) / 1000) * partner.speed;
+        const distance = Math.max(partner.distance - walked, 0);
+        const point = computeDestinationPoint(origin, distance, partner.bearing);
+        partnerPos = { lat: point.latitude, lon: point.longitude };
+    } else if (partner.mode === 'replay' && partner.track) {
+        partnerPos = positionOnTrack(partner.track, replayTime(now));
+    }
+
+    if (partnerPos) {
+        Object.assign(overrides, {
+            partnerLat: partnerPos.lat,
+            partnerLon: partnerPos.lon,
+            relayedDistance: null,
+            relayedBearing: null,
+            partnerMode: 'exact',
+            distanceAccuracy: 0,
+            partnerHidden: false,
+            partnerSeenAt: now,
+            hasPartner: true,
+            isPaired: true,
+            connection: 'live',
+        });
+    }
+
+    return Object.keys(overrides).length > 0 ? overrides : null;
+}
+
+function apply() {
+    setLocationOverrides(computeOverrides(Date.now()));
+}
+
+function update(next) {
+    simulation = next;
+
+    // Tick only while something moves or needs following
+    const { self, partner } = simulation;
+    const active = self.mode !== 'gps' || partner.mode !== 'off';
+    if (active && !ticker) ticker = setInterval(apply, TICK_MS);
+    if (!active && ticker) {
+        clearInterval(ticker);
+        ticker = null;
+    }
+    apply();
+    listeners.forEach((cb) => cb());
+}
+
+export function getSimulation() {
+    return simulation;
+}
+
+export function subscribeSimulation(cb) {
+    listeners.add(cb);
+    return () => listeners.delete(cb);
+}
+
+export function setSelfSimulation(patch) {
+    if (!isDevMode) return;
+    update({ ...simulation, self: { ...simulation.self, ...patch } });
+}
+
+/** Changing where she is (or her pace) restarts her walk from there */
+export function setPartnerSimulation(patch) {
+    if (!isDevMode) return;
+    update({ ...simulation, partner: { ...simulation.partner, ...patch, startedAt: Date.now() } });
+}
+
+/** Replay speed multiplier — the tracks carry on from where they are */
+export function setReplaySpeed(speed) {
+    if (!isDevMode) return;
+    const now = Date.now();
+    update({ ...simulation, replay: { speed, offset: replayTime(now), changedAt: now } });
+}
+
+/** Rewind both tracks to their start */
+export function restartReplay() {
+    if (!isDevMode) return;
+    update({ ...simulation, replay: { ...simulation.replay, offset: 0, changedAt: Date.now() } });
+}
+
+/** Override the compass heading (degrees), or null for the real sensor */
+export function setSimulatedHeading(heading) {
+    if (!isDevMode) return;
+    update({ ...simulation, heading });
+}
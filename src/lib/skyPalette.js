@@ -0,0 +1,85 @@
+/**
+ * Sky colours for a given sun elevation — drives the fog, the mobile
+ * gradient background and the HDR environment preset, from deep night
+ * through twilight to full day.
+ *
+ * Keyframes are interpolated by elevation; ~8° reproduces the original
+ * golden-hour look.
+ */
+import * as THREE from 'three';
+
+const KEYFRAMES = [
+    { elevation: -18, fog: '#05050c', background: '#0b0c1a', horizon: '#1a1a30', sky: '#070a1a' },
+    { elevation: -6, fog: '#0a0814', background: '#1c1a2e', horizon: '#4a3a55', sky: '#141a33' },
+    { elevation: 0, fog: '#1a0a05', background: '#6B4A3A', horizon: '#D9774A', sky: '#5A6E9A' },
+    { elevation: 8, fog: '#1a0f00', background: '#8B7355', horizon: '#C4A882', sky: '#9BB8D3' },
+    { elevation: 30, fog: '#22190c', background: '#9C8C70', horizon: '#D8CDB0', sky: '#8FB8E0' },
+];
+
+const FIELDS = ['fog', 'background', 'horizon', 'sky'];
+
+// Every HDR preset getSkyPalette can pick — SkyLighting preloads them all
+export const ENVIRONMENT_PRESETS = ['night', 'dawn', 'sunset', 'park'];
+
+const a = new THREE.Color();
+const b = new THREE.Color();
+
+function lerpHex(from, to, t) {
+    return '#' + a.set(from).lerp(b.set(to), t).getHexString();
+}
+
+/**
+ * elevation: degrees above the horizon
+ * rising: whether it's before solar noon — picks dawn vs sunset lighting
+ */
+export function getSkyPalette(elevation, rising) {
+    const first = KEYFRAMES[0];
+    const last = KEYFRAMES[KEYFRAMES.length - 1];
+    const clamped = Math.min(Math.max(elevation, first.elevation), last.elevation);
+
+    const i = Math.max(1, KEYFRAMES.findIndex((k) => k.elevation >= clamped));
+    const lo = KEYFRAMES[i - 1];
+    const hi = KEYFRAMES[i];
+    const t = (clamped - lo.elevation) / (hi.elevation - lo.elevation);
+
+    const palette = {};
+    for (const field of FIELDS) {
+        palette[field] = lerpHex(lo[field], hi[field], t);
+    }
+
+    // A low morning sun is dawn light, a low afternoon one is sunset — by
+    // the clock, since which way the sun lies depends on the hemisphere
+    palette.environment = elevation < -4
+        ? 'night'
+        : elevation > 20 ? 'park' : rising ? 'dawn' : 'sunset';
+
+    return palette;
+}
+
+const grey = new THREE.Color();
+
+/**
+ * Mute a palette under cloud — colours drift toward a grey of the same
+ * brightness. overcast: 0 (clear) → 1 (heavy cloud), see lib/weather.js
+ */
+export function applyOvercast(palette, overcast) {
+    if (!overcast) return palette;
+
+    const muted = { ...palette };
+    for (const field of FIELDS) {
+        a.set(palette[field]);
+        const { l } = a.getHSL({});
+        grey.setHSL(0, 0, l * (1 - overcast * 0.25));
+        muted[field] = '#' + a.lerp(grey, overcast * 0.7).getHexString();
+    }
+    return muted;
+}
+
+/**
+ * How much daylight there is: 0 once the sun is well into civil twilight,
+ * 1 once it is a few degrees above the horizon, smooth in between.
+ */
+export function getDaylight(elevation) {
+    const t = Math.min(Math.max((elevation + 6) / 9, 0), 1);
+    return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,169 @@
+/**
+ * Solar ephemeris — NOAA Solar Calculator algorithm (Meeus, "Astronomical
+ * Algorithms"). Accurate to well under a minute of time for events and a
+ * fraction of a degree for position between 1800 and 2100, including the
+ * equation of time and atmospheric refraction.
+ *
+ * Angles are in degrees, longitudes east-positive, times are Date objects.
+ */
+
+const rad = Math.PI / 180;
+const deg = 180 / Math.PI;
+
+// Sun altitudes that define each event (degrees)
+export const SUNRISE_ALTITUDE = -0.833; // upper limb on the horizon, with refraction
+export const CIVIL_TWILIGHT_ALTITUDE = -6;
+export const GOLDEN_HOUR_LOW = -4;
+export const GOLDEN_HOUR_HIGH = 6;
+
+const MS_PER_DAY = 86400000;
+const MS_PER_MINUTE = 60000;
+
+function julianCentury(date) {
+    const jd = date.getTime() / MS_PER_DAY + 2440587.5;
+    return (jd - 2451545) / 36525;
+}
+
+/** Declination and equation of time (minutes) at an instant */
+function sunParameters(date) {
+    const T = julianCentury(date);
+
+    const L0 = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360; // geometric mean longitude
+    const M = 357.52911 + T * (35999.05029 - 0.0001537 * T); // geometric mean anomaly
+    const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T); // orbit eccentricity
+
+    const C = Math.sin(M * rad) * (1.914602 - T * (0.004817 + 0.000014 * T))
+        + Math.sin(2 * M * rad) * (0.019993 - 0.000101 * T)
+        + Math.sin(3 * M * rad) * 0.000289; // equation of centre
+
+    const omega = 125.04 - 1934.136 * T;
+    const apparentLong = L0 + C - 0.00569 - 0.00478 * Math.sin(omega * rad);
+
+    const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad);
+
+    const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLong * rad)) * deg;
+
+    const y = Math.tan((obliquity / 2) * rad) ** 2;
+    const equationOfTime = 4 * deg * (
+        y * Math.sin(2 * L0 * rad)
+        - 2 * e * Math.sin(M * rad)
+        + 4 * e * y * Math.sin(M * rad) * Math.cos(2 * L0 * rad)
+        - 0.5 * y * y * Math.sin(4 * L0 * rad)
+        - 1.25 * e * e * Math.sin(2 * M * rad)
+    );
+
+    return { declination, equationOfTime };
+}
+
+/** Atmospheric refraction correction (degrees) for a geometric elevation */
+function refraction(elevation) {
+    if (elevation > 85) return 0;
+    const te = Math.tan(elevation * rad);
+    let arcsec;
+    if (elevation > 5) {
+        arcsec = 58.1 / te - 0.07 / te ** 3 + 0.000086 / te ** 5;
+    } else if (elevation > -0.575) {
+        arcsec = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+    } else {
+        arcsec = -20.772 / te;
+    }
+    return arcsec / 3600;
+}
+
+/**
+ * Apparent sun position.
+ * Returns azimuth (0-360, 0=North, clockwise) and elevation (-90 to 90),
+ * corrected for refraction.
+ */
+export function getSolarPosition(date, lat, lon) {
+    const { declination, equationOfTime } = sunParameters(date);
+
+    const utcMinutes = (date.getTime() % MS_PER_DAY + MS_PER_DAY) % MS_PER_DAY / MS_PER_MINUTE;
+    const trueSolarTime = (((utcMinutes + equationOfTime + 4 * lon) % 1440) + 1440) % 1440;
+    let hourAngle = trueSolarTime / 4 - 180;
+    if (hourAngle < -180) hourAngle += 360;
+
+    const cosZenith = Math.sin(lat * rad) * Math.sin(declination * rad)
+        + Math.cos(lat * rad) * Math.cos(declination * rad) * Math.cos(hourAngle * rad);
+    const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith))) * deg;
+    const elevation = 90 - zenith;
+
+    let azimuth;
+    const denom = Math.cos(lat * rad) * Math.sin(zenith * rad);
+    if (Math.abs(denom) > 1e-9) {
+        const cosAz = (Math.sin(lat * rad) * Math.cos(zenith * rad) - Math.sin(declination * rad)) / denom;
+        const az = Math.acos(Math.max(-1, Math.min(1, cosAz))) * deg;
+        azimuth = hourAngle > 0 ? (az + 180) % 360 : (540 - az) % 360;
+    } else {
+        // Sun at the zenith or observer at a pole — azimuth is undefined
+        azimuth = lat > 0 ? 180 : 0;
+    }
+
+    return { azimuth, elevation: elevation + refraction(elevation) };
+}
+
+/** Mean solar noon (ms, UTC) of the local mean-solar day containing `date` */
+function meanNoonMs(date, lon) {
+    const offsetMs = (lon / 15) * 3600000;
+    const dayStart = Math.floor((date.getTime() + offsetMs) / MS_PER_DAY) * MS_PER_DAY - offsetMs;
+    return dayStart + MS_PER_DAY / 2;
+}
+
+/** Apparent solar noon — mean noon shifted by the equation of time */
+function solarNoonMs(meanNoon) {
+    let noon = meanNoon;
+    for (let i = 0; i < 2; i++) {
+        noon = meanNoon - sunParameters(new Date(noon)).equationOfTime * MS_PER_MINUTE;
+    }
+    return noon;
+}
+
+/**
+ * Time the sun crosses `altitude` on the rising (-1) or setting (+1) side of
+ * solar noon, or null if it never does that day (polar day / night).
+ * Iterates so declination and equation of time are taken at the event itself.
+ */
+function altitudeCrossing(meanNoon, lat, altitude, side) {
+    let t = meanNoon;
+    for (let i = 0; i < 3; i++) {
+        const { declination, equationOfTime } = sunParameters(new Date(t));
+        const cosH = (Math.sin(altitude * rad) - Math.sin(lat * rad) * Math.sin(declination * rad))
+            / (Math.cos(lat * rad) * Math.cos(declination * rad));
+        if (cosH < -1 || cosH > 1) return null;
+
+        const hourAngle = Math.acos(cosH) * deg;
+        t = meanNoon - equationOfTime * MS_PER_MINUTE + side * 4 * hourAngle * MS_PER_MINUTE;
+    }
+    return new Date(t);
+}
+
+function timeWindow(start, end) {
+    return start && end ? { start, end } : null;
+}
+
+/**
+ * Sun events for the local day (at `lon`) containing `date`.
+ * Each event is a Date, or null when it doesn't happen that day.
+ */
+export function getSolarEvents(date, lat, lon) {
+    const meanNoon = meanNoonMs(date, lon);
+    const at = (altitude, side) => altitudeCrossing(meanNoon, lat, altitude, side);
+
+    const sunrise = at(SUNRISE_ALTITUDE, -1);
+    const sunset = at(SUNRISE_ALTITUDE, 1);
+    const civilDawn = at(CIVIL_TWILIGHT_ALTITUDE, -1);
+    const civilDusk = at(CIVIL_TWILIGHT_ALTITUDE, 1);
+
+    return {
+        solarNoon: new Date(solarNoonMs(meanNoon)),
+        sunrise,
+        sunset,
+        civilDawn,
+        civilDusk,
+        goldenHour: {
+            morning: timeWindow(at(GOLDEN_HOUR_LOW, -1), at(GOLDEN_HOUR_HIGH, -1)),
+            evening: timeWindow(at(GOLDEN_HOUR_HIGH, 1), at(GOLDEN_HOUR_LOW, 1)),
+        },
+    };
+}
@@ -0,0 +1,58 @@
+/**
+ * Checks against published almanac values (US Naval Observatory rise/set
+ * tables, solstice noon altitudes). Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSolarPosition, getSolarEvents } from './solar.js';
+
+const GREENWICH = { lat: 51.4769, lon: -0.0005 };
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+const LONGYEARBYEN = { lat: 78.22, lon: 15.65 };
+
+function assertTime(actual, expectedIso, toleranceMinutes = 2) {
+    const diff = Math.abs(actual.getTime() - Date.parse(expectedIso)) / 60000;
+    assert.ok(diff <= toleranceMinutes, `${actual.toISOString()} is ${diff.toFixed(1)} min from ${expectedIso}`);
+}
+
+function assertNear(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+test('Greenwich, June solstice 2024 — rise 03:43, transit 12:02, set 20:21 UT', () => {
+    const events = getSolarEvents(new Date('2024-06-21T12:00:00Z'), GREENWICH.lat, GREENWICH.lon);
+    assertTime(events.sunrise, '2024-06-21T03:43:00Z');
+    assertTime(events.solarNoon, '2024-06-21T12:02:00Z');
+    assertTime(events.sunset, '2024-06-21T20:21:00Z');
+});
+
+test('New York, December solstice 2024 — rise 07:16, transit 11:54, set 16:32 EST', () => {
+    const events = getSolarEvents(new Date('2024-12-21T17:00:00Z'), NEW_YORK.lat, NEW_YORK.lon);
+    assertTime(events.sunrise, '2024-12-21T12:16:00Z');
+    assertTime(events.solarNoon, '2024-12-21T16:54:00Z');
+    assertTime(events.sunset, '2024-12-21T21:32:00Z');
+});
+
+test('noon altitude at the solstices is 90° − latitude ± 23.44°', () => {
+    const london = getSolarEvents(new Date('2024-06-21T12:00:00Z'), GREENWICH.lat, GREENWICH.lon);
+    const summer = getSolarPosition(london.solarNoon, GREENWICH.lat, GREENWICH.lon);
+    assertNear(summer.elevation, 90 - GREENWICH.lat + 23.44, 0.1, 'Greenwich elevation');
+    assertNear(summer.azimuth, 180, 0.5, 'Greenwich azimuth');
+
+    const newYork = getSolarEvents(new Date('2024-12-21T17:00:00Z'), NEW_YORK.lat, NEW_YORK.lon);
+    const winter = getSolarPosition(newYork.solarNoon, NEW_YORK.lat, NEW_YORK.lon);
+    assertNear(winter.elevation, 90 - NEW_YORK.lat - 23.44, 0.1, 'New York elevation');
+    assertNear(winter.azimuth, 180, 0.5, 'New York azimuth');
+});
+
+test('the sun rises due east and near the zenith on the equator at the March equinox', () => {
+    const sunrise = getSolarEvents(new Date('2024-03-20T12:00:00Z'), 0, 0).sunrise;
+    assertNear(getSolarPosition(sunrise, 0, 0).azimuth, 90, 0.5, 'sunrise azimuth');
+    assertNear(getSolarPosition(new Date('2024-03-20T12:07:00Z'), 0, 0).elevation, 90, 1, 'noon elevation');
+});
+
+test('midnight sun in Svalbard has no sunrise or sunset', () => {
+    const events = getSolarEvents(new Date('2024-06-21T12:00:00Z'), LONGYEARBYEN.lat, LONGYEARBYEN.lon);
+    assert.equal(events.sunrise, null);
+    assert.equal(events.sunset, null);
+});
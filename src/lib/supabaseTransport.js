@@ -0,0 +1,38 @@
+/**
+ * Supabase Realtime transport — presence and broadcast on one channel.
+ * See transport.js for the interface.
+ */
+export function createSupabaseTransport(client) {
+    return {
+        name: 'supabase',
+
+        join(name, { key, onSync, onBroadcast, onStatus }) {
+            let left = false;
+            const channel = client.channel(name, {
+                config: { presence: { key }, broadcast: { self: false } },
+            });
+
+            channel
+                .on('broadcast', { event: '*' }, ({ event, payload }) => {
+                    if (!left) onBroadcast(event, payload);
+                })
+                .on('presence', { event: 'sync' }, () => {
+                    if (!left) onSync(channel.presenceState());
+                })
+                .subscribe((status, err) => {
+                    if (!left) onStatus(status, err);
+                });
+
+            return {
+                track: (meta) => channel.track(meta),
+                broadcast: (event, payload) => channel.send({ type: 'broadcast', event, payload }),
+                // Resolves once the channel is removed, so joining the same
+                // name again builds a fresh channel instead of reusing this one
+                leave: () => {
+                    left = true;
+                    return client.removeChannel(channel).catch(() => {});
+                },
+            };
+        },
+    };
+}
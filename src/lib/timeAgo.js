@@ -0,0 +1,21 @@
+/**
+ * "just now", "12 min ago", "3 h ago", then the date.
+ */
+export function formatTimeAgo(at, now = Date.now()) {
+    const minutes = Math.floor((now - at) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return new Date(at).toLocaleDateString();
+}
+
+/** "45 min", "2 h 15 min", "3 d 4 h" */
+export function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+    const days = Math.floor(hours / 24);
+    return hours % 24 ? `${days} d ${hours % 24} h` : `${days} d`;
+}
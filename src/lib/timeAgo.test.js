@@ -0,0 +1,37 @@
+/**
+ * Relative times and durations as the panels print them. Run with `npm test`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatDuration, formatTimeAgo } from './timeAgo.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const NOW = new Date(2024, 5, 15, 12).getTime();
+
+test('time ago counts minutes, then hours, then gives the date', () => {
+    assert.equal(formatTimeAgo(NOW, NOW), 'just now');
+    assert.equal(formatTimeAgo(NOW - 59 * 1000, NOW), 'just now');
+    assert.equal(formatTimeAgo(NOW - MINUTE, NOW), '1 min ago');
+    assert.equal(formatTimeAgo(NOW - 59 * MINUTE, NOW), '59 min ago');
+    assert.equal(formatTimeAgo(NOW - HOUR, NOW), '1 h ago');
+    assert.equal(formatTimeAgo(NOW - DAY + MINUTE, NOW), '23 h ago');
+    assert.equal(formatTimeAgo(NOW - DAY, NOW), new Date(NOW - DAY).toLocaleDateString());
+});
+
+test('a time slightly in the future reads as just now', () => {
+    assert.equal(formatTimeAgo(NOW + 30 * 1000, NOW), 'just now');
+});
+
+test('durations round to the minute and drop empty parts', () => {
+    assert.equal(formatDuration(0), '0 min');
+    assert.equal(formatDuration(29 * 1000), '0 min');
+    assert.equal(formatDuration(30 * 1000), '1 min');
+    assert.equal(formatDuration(45 * MINUTE), '45 min');
+    assert.equal(formatDuration(59 * MINUTE + 40 * 1000), '1 h');
+    assert.equal(formatDuration(2 * HOUR + 15 * MINUTE), '2 h 15 min');
+    assert.equal(formatDuration(3 * HOUR), '3 h');
+    assert.equal(formatDuration(3 * DAY + 4 * HOUR), '3 d 4 h');
+    assert.equal(formatDuration(2 * DAY + 20 * MINUTE), '2 d');
+});
@@ -0,0 +1,71 @@
+/**
+ * Rough location guess from the device's timezone — used to place the sun
+ * when geolocation is denied or hasn't produced a fix yet.
+ *
+ * Longitude comes from the standard (non-DST) UTC offset: 15° per hour.
+ * Latitude comes from the IANA zone name — good enough to get the season
+ * and day length roughly right, which is all the sun needs.
+ */
+
+// Most specific prefix wins
+const ZONE_LATITUDES = [
+    ['America/Argentina', -34],
+    ['America/Sao_Paulo', -23],
+    ['America/Santiago', -33],
+    ['America/Lima', -12],
+    ['America/Bogota', 5],
+    ['America/Mexico_City', 19],
+    ['America/Anchorage', 61],
+    ['America', 38],
+    ['Asia/Kolkata', 22],
+    ['Asia/Calcutta', 22],
+    ['Asia/Singapore', 1],
+    ['Asia/Jakarta', -6],
+    ['Asia/Tokyo', 36],
+    ['Asia/Dubai', 25],
+    ['Asia', 30],
+    ['Europe', 49],
+    ['Africa/Johannesburg', -26],
+    ['Africa/Cairo', 30],
+    ['Africa/Lagos', 6],
+    ['Africa', 5],
+    ['Australia', -30],
+    ['Pacific/Auckland', -37],
+    ['Pacific/Honolulu', 21],
+    ['Pacific', -15],
+    ['Atlantic', 35],
+    ['Indian', -10],
+    ['Antarctica', -75],
+];
+
+function standardOffsetMinutes(date = new Date()) {
+    const year = date.getFullYear();
+    // getTimezoneOffset is minutes *behind* UTC; the larger value is the non-DST one
+    return Math.max(
+        new Date(year, 0, 1).getTimezoneOffset(),
+        new Date(year, 6, 1).getTimezoneOffset()
+    );
+}
+
+export function guessLocationFromTimezone() {
+    const lon = (-standardOffsetMinutes() / 60) * 15;
+
+    let lat = 0;
+    try {
+        const zone = Intl.DateTimeFormat().resolvedOptions().timeZone ?? '';
+        const match = ZONE_LATITUDES.find(([prefix]) => zone.startsWith(prefix));
+        if (match) lat = match[1];
+    } catch {
+        // Intl unavailable — equator is a harmless default
+    }
+
+    return { lat, lon };
+}
+
+const FALLBACK_LOCATION = guessLocationFromTimezone();
+
+/** The given coordinates, or the timezone guess when there's no fix yet */
+export function resolveLocation(lat, lon) {
+    const hasFix = lat != null && lon != null;
+    return hasFix ? { lat, lon, isApproximate: false } : { ...FALLBACK_LOCATION, isApproximate: true };
+}
@@ -0,0 +1,56 @@
+/**
+ * Presence transport — how the two devices find each other and talk.
+ * The location store only speaks this interface, so the backend is a
+ * config choice:
+ *
+ *   VITE_TRANSPORT=supabase   Supabase Realtime (default when configured)
+ *   VITE_TRANSPORT=broadcast  BroadcastChannel — two tabs on one machine
+ *   VITE_TRANSPORT=relay      the WebSocket relay in server/relay.js
+ *                             (VITE_RELAY_URL, default ws://<host>:8787)
+ *
+ * Interface:
+ *   transport.join(name, { key, onSync, onBroadcast, onStatus }) → channel
+ *     onSync(presenceState)        { [key]: [meta] }, ourselves included
+ *     onBroadcast(event, payload)  others' broadcasts only
+ *     onStatus(status, err)        'SUBSCRIBED' | 'CHANNEL_ERROR' | 'TIMED_OUT' | 'CLOSED'
+ *   channel.track(meta)              → Promise<'ok' | reason>
+ *   channel.broadcast(event, payload) → Promise<'ok' | reason>
+ *   channel.leave()                  → Promise; no callbacks fire afterwards
+ *   transport.sharedStorage          true when both ends share this browser's storage
+ *
+ * Everything that crosses a transport is already sealed (see locationCrypto),
+ * so none of them needs to be trusted with more than public keys.
+ */
+import { supabase, isSupabaseConfigured } from './supabaseClient';
+import { createSupabaseTransport } from './supabaseTransport';
+import { createBroadcastTransport } from './broadcastTransport';
+import { createRelayTransport } from './relayTransport';
+
+const DEFAULT_RELAY_PORT = 8787;
+
+function createTransport(kind) {
+    switch (kind) {
+        case 'supabase':
+            if (!isSupabaseConfigured) {
+                console.log('[Sunflower] Supabase not configured, no presence transport');
+                return null;
+            }
+            return createSupabaseTransport(supabase);
+        case 'broadcast':
+            if (typeof BroadcastChannel === 'undefined') {
+                console.warn('[Sunflower] BroadcastChannel unavailable, no presence transport');
+                return null;
+            }
+            return createBroadcastTransport();
+        case 'relay':
+            return createRelayTransport(
+                import.meta.env.VITE_RELAY_URL || `ws://${location.hostname}:${DEFAULT_RELAY_PORT}`
+            );
+        default:
+            console.warn(`[Sunflower] Unknown VITE_TRANSPORT "${kind}", no presence transport`);
+            return null;
+    }
+}
+
+/** The configured transport, or null when there's nothing to connect to */
+export const transport = createTransport(import.meta.env.VITE_TRANSPORT || 'supabase');
@@ -0,0 +1,65 @@
+/**
+ * Current weather from Open-Meteo (free, no key) — just enough to tint a
+ * sky: cloud cover, precipitation and a short description.
+ *
+ * Only ever asked about the partner's position when she shares it exactly
+ * and has opted in (the `shareWeather` setting), and even then rounded to
+ * whole degrees (~100 km) before it leaves the device.
+ */
+
+const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+
+export const WEATHER_REFRESH_MS = 15 * 60 * 1000;
+
+// WMO weather interpretation codes, grouped
+const DESCRIPTIONS = [
+    [0, 'clear'],
+    [1, 'mostly clear'],
+    [2, 'partly cloudy'],
+    [3, 'overcast'],
+    [48, 'foggy'],
+    [57, 'drizzle'],
+    [67, 'rain'],
+    [77, 'snow'],
+    [82, 'showers'],
+    [86, 'snow showers'],
+    [99, 'thunderstorms'],
+];
+
+function describe(code) {
+    const match = DESCRIPTIONS.find(([max]) => code <= max);
+    return match ? match[1] : 'unknown';
+}
+
+/** Coordinates as sent to the weather API — whole degrees */
+export const roundWeatherCoord = (value) => Math.round(value);
+
+/**
+ * { cloudCover: 0-1, precipitation: mm/h, code, description }
+ * Throws on network or API errors.
+ */
+export async function fetchWeather(lat, lon, { signal } = {}) {
+    const params = new URLSearchParams({
+        latitude: roundWeatherCoord(lat),
+        longitude: roundWeatherCoord(lon),
+        current: 'weather_code,cloud_cover,precipitation',
+    });
+
+    const res = await fetch(`${WEATHER_URL}?${params}`, { signal });
+    if (!res.ok) throw new Error(`Weather request failed: ${res.status}`);
+    const { current } = await res.json();
+
+    return {
+        cloudCover: (current.cloud_cover ?? 0) / 100,
+        precipitation: current.precipitation ?? 0,
+        code: current.weather_code,
+        description: describe(current.weather_code),
+    };
+}
+
+/** 0 (clear) → 1 (heavy overcast and rain): how much the weather mutes the light */
+export function getOvercast(weather) {
+    if (!weather) return 0;
+    const rain = Math.min(weather.precipitation / 4, 1);
+    return Math.min(weather.cloudCover * 0.8 + rain * 0.4, 1);
+}